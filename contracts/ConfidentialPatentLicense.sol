@@ -1,131 +1,72 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint64, euint32, euint8, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import {
+    FHE,
+    euint64,
+    euint32,
+    euint8,
+    ebool,
+    externalEuint64,
+    externalEuint32,
+    externalEuint8
+} from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { PatentLicenseBase } from "./PatentLicenseBase.sol";
 
-contract ConfidentialPatentLicense is SepoliaConfig {
-
-    address public owner;
-    uint256 public nextPatentId;
-    uint256 public nextLicenseId;
-
-    enum PatentStatus { Active, Suspended, Expired }
-    enum LicenseStatus { Pending, Active, Suspended, Expired, Revoked }
-
-    struct PatentInfo {
-        address patentOwner;
-        euint64 encryptedRoyaltyRate; // Royalty rate in basis points (encrypted)
-        euint64 encryptedMinLicenseFee; // Minimum license fee (encrypted)
-        euint32 encryptedExclusivityPeriod; // Days for exclusivity (encrypted)
-        uint256 registrationTime;
-        uint256 expirationTime;
-        PatentStatus status;
-        bool isConfidential;
-        string patentHash; // IPFS hash or other reference
-        uint8 territoryCode; // Geographic territory code
-    }
-
-    struct LicenseAgreement {
-        uint256 patentId;
-        address licensee;
-        address licensor;
-        euint64 encryptedLicenseFee; // Total license fee (encrypted)
-        euint64 encryptedRoyaltyRate; // Agreed royalty rate (encrypted)
-        euint32 encryptedRevenueCap; // Revenue cap if any (encrypted)
-        uint256 startTime;
-        uint256 endTime;
-        LicenseStatus status;
-        bool isExclusive;
-        bool autoRenewal;
-        euint8 encryptedTerritoryMask; // Allowed territories (encrypted)
-    }
-
-    struct RoyaltyPayment {
-        uint256 licenseId;
-        euint64 encryptedAmount; // Payment amount (encrypted)
-        euint64 encryptedRevenue; // Reported revenue (encrypted)
-        uint256 paymentTime;
-        uint256 reportingPeriod;
-        bool isVerified;
-    }
+contract ConfidentialPatentLicense is PatentLicenseBase, SepoliaConfig {
 
-    // Storage mappings
-    mapping(uint256 => PatentInfo) public patents;
-    mapping(uint256 => LicenseAgreement) public licenses;
-    mapping(uint256 => RoyaltyPayment[]) public royaltyPayments;
-    mapping(address => uint256[]) public userPatents;
-    mapping(address => uint256[]) public userLicenses;
-    mapping(uint256 => uint256[]) public patentLicenses;
-
-    // Confidential bidding for exclusive licenses
-    mapping(uint256 => mapping(address => euint64)) private confidentialBids;
-    mapping(uint256 => address[]) public bidders;
-    mapping(uint256 => bool) public biddingOpen;
-    mapping(uint256 => uint256) public biddingEndTime;
-
-    // Events
-    event PatentRegistered(uint256 indexed patentId, address indexed owner, string patentHash);
-    event LicenseRequested(uint256 indexed licenseId, uint256 indexed patentId, address indexed licensee);
-    event LicenseApproved(uint256 indexed licenseId, address indexed licensee, address indexed licensor);
-    event RoyaltyPaid(uint256 indexed licenseId, address indexed payer, uint256 reportingPeriod);
-    event ConfidentialBidSubmitted(uint256 indexed patentId, address indexed bidder);
-    event ExclusiveLicenseAwarded(uint256 indexed patentId, address indexed winner, uint256 indexed licenseId);
-    event PatentStatusChanged(uint256 indexed patentId, PatentStatus newStatus);
-    event LicenseStatusChanged(uint256 indexed licenseId, LicenseStatus newStatus);
-
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
-        _;
-    }
+    uint64 private constant MAX_ROYALTY_RATE = 10000; // 100% in basis points
 
-    modifier onlyPatentOwner(uint256 patentId) {
-        require(patents[patentId].patentOwner == msg.sender, "Not patent owner");
-        _;
-    }
+    // Head of the module chain serving the calls this contract does not implement
+    address public immutable firstModule;
 
-    modifier validPatent(uint256 patentId) {
-        require(patentId < nextPatentId, "Invalid patent ID");
-        require(patents[patentId].status == PatentStatus.Active, "Patent not active");
-        _;
-    }
-
-    modifier validLicense(uint256 licenseId) {
-        require(licenseId < nextLicenseId, "Invalid license ID");
-        _;
-    }
-
-    constructor() {
+    constructor(address firstModule_) {
+        require(firstModule_.code.length > 0, "Invalid module");
+        firstModule = firstModule_;
         owner = msg.sender;
         nextPatentId = 1;
         nextLicenseId = 1;
+        nextDisputeId = 1;
+
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+
+    // Bidding, royalty and other module entry points are delegated down the module chain
+    fallback() external payable {
+        _delegate(firstModule);
     }
 
     // Register a new patent with confidential terms
+    // All terms are encrypted client-side and validated against inputProof
     function registerPatent(
-        uint64 royaltyRate,
-        uint64 minLicenseFee,
-        uint32 exclusivityPeriod,
+        externalEuint64 royaltyRate,
+        externalEuint64 minLicenseFee,
+        externalEuint32 exclusivityPeriod,
+        externalEuint8 territoryMask,
         uint256 validityYears,
         string calldata patentHash,
         uint8 territoryCode,
-        bool isConfidential
-    ) external returns (uint256 patentId) {
-        require(royaltyRate <= 10000, "Royalty rate too high"); // Max 100%
+        bool isConfidential,
+        bytes calldata inputProof
+    ) external whenNotPaused returns (uint256 patentId) {
         require(validityYears > 0 && validityYears <= 20, "Invalid validity period");
 
         patentId = nextPatentId++;
 
-        // Encrypt confidential parameters
-        euint64 encryptedRoyalty = FHE.asEuint64(royaltyRate);
-        euint64 encryptedMinFee = FHE.asEuint64(minLicenseFee);
-        euint32 encryptedExclusivity = FHE.asEuint32(exclusivityPeriod);
+        // Import confidential parameters, capping the royalty rate at 100% without revealing it
+        euint64 encryptedRoyalty = FHE.min(FHE.fromExternal(royaltyRate, inputProof), MAX_ROYALTY_RATE);
+        euint64 encryptedMinFee = FHE.fromExternal(minLicenseFee, inputProof);
+        euint32 encryptedExclusivity = FHE.fromExternal(exclusivityPeriod, inputProof);
+        euint8 encryptedTerritory = FHE.fromExternal(territoryMask, inputProof);
 
         patents[patentId] = PatentInfo({
             patentOwner: msg.sender,
             encryptedRoyaltyRate: encryptedRoyalty,
             encryptedMinLicenseFee: encryptedMinFee,
             encryptedExclusivityPeriod: encryptedExclusivity,
+            encryptedTerritoryMask: encryptedTerritory,
             registrationTime: block.timestamp,
             expirationTime: block.timestamp + (validityYears * 365 days),
             status: PatentStatus.Active,
@@ -138,11 +79,13 @@ contract ConfidentialPatentLicense is SepoliaConfig {
         FHE.allowThis(encryptedRoyalty);
         FHE.allowThis(encryptedMinFee);
         FHE.allowThis(encryptedExclusivity);
+        FHE.allowThis(encryptedTerritory);
 
         if (!isConfidential) {
             FHE.allow(encryptedRoyalty, msg.sender);
             FHE.allow(encryptedMinFee, msg.sender);
             FHE.allow(encryptedExclusivity, msg.sender);
+            FHE.allow(encryptedTerritory, msg.sender);
         }
 
         userPatents[msg.sender].push(patentId);
@@ -150,77 +93,263 @@ contract ConfidentialPatentLicense is SepoliaConfig {
         emit PatentRegistered(patentId, msg.sender, patentHash);
     }
 
+    // Extend a patent's expiration by whole years, up to the maximum term from registration
+    // Requires the per-year maintenance fee, which is credited to the platform owner
+    function renewPatent(uint256 patentId, uint256 additionalYears)
+        external payable whenNotPaused onlyPatentOwner(patentId) {
+        PatentInfo storage patent = patents[patentId];
+        require(!_patentExpired(patentId), "Patent expired");
+        require(additionalYears > 0, "Invalid renewal period");
+
+        uint256 newExpiration = patent.expirationTime + additionalYears * 365 days;
+        require(newExpiration <= patent.registrationTime + MAX_PATENT_TERM, "Exceeds maximum term");
+        require(msg.value == maintenanceFeePerYear * additionalYears, "Incorrect maintenance fee");
+
+        patent.expirationTime = newExpiration;
+
+        if (msg.value > 0) {
+            _creditWithdrawable(owner, msg.value);
+        }
+
+        emit PatentRenewed(patentId, newExpiration);
+    }
+
+    // Record a patent's expiry and expire every license still live on it (callable by anyone)
+    function processPatentExpiration(uint256 patentId) external whenNotPaused patentExists(patentId) {
+        PatentInfo storage patent = patents[patentId];
+        require(patent.status != PatentStatus.Expired, "Already expired");
+        require(block.timestamp >= patent.expirationTime, "Patent not expired");
+
+        patent.status = PatentStatus.Expired;
+        emit PatentStatusChanged(patentId, PatentStatus.Expired);
+
+        _expireLicenses(grantedLicenses[patentId]);
+        _expireLicenses(pendingRequests[patentId]);
+    }
+
+    function _expireLicenses(uint256[] storage licenseIds) private {
+        for (uint256 i = 0; i < licenseIds.length; i++) {
+            LicenseAgreement storage license = licenses[licenseIds[i]];
+            if (_isLive(license.status)) {
+                license.status = LicenseStatus.Expired;
+                emit LicenseStatusChanged(licenseIds[i], LicenseStatus.Expired);
+            }
+        }
+    }
+
+    // Status with expiry applied, for patents nobody has processed yet
+    function getEffectivePatentStatus(uint256 patentId)
+        external view patentExists(patentId) returns (PatentStatus) {
+        return _patentExpired(patentId) ? PatentStatus.Expired : patents[patentId].status;
+    }
+
     // Request a license for a patent
+    // Proposed terms are encrypted client-side and validated against inputProof
     function requestLicense(
         uint256 patentId,
-        uint64 proposedFee,
-        uint64 proposedRoyaltyRate,
-        uint32 revenueCap,
+        EncryptedLicenseTerms calldata terms,
         uint256 durationDays,
         bool requestExclusive,
         bool autoRenewal,
-        uint8 territoryMask
-    ) external validPatent(patentId) returns (uint256 licenseId) {
+        bytes calldata inputProof
+    ) external whenNotPaused validPatent(patentId) returns (uint256 licenseId) {
         require(durationDays > 0, "Invalid duration");
-        require(proposedRoyaltyRate <= 10000, "Invalid royalty rate");
 
         licenseId = nextLicenseId++;
 
-        // Split into two functions to avoid stack too deep
-        _createLicenseAgreement(licenseId, patentId, proposedFee, proposedRoyaltyRate,
-                               revenueCap, requestExclusive, autoRenewal, territoryMask);
+        licenses[licenseId] = LicenseAgreement({
+            patentId: patentId,
+            licensee: msg.sender,
+            licensor: patents[patentId].patentOwner,
+            encryptedLicenseFee: euint64.wrap(0),
+            encryptedRoyaltyRate: euint64.wrap(0),
+            encryptedRevenueCap: euint64.wrap(0),
+            startTime: 0,
+            endTime: 0,
+            status: LicenseStatus.Pending,
+            isExclusive: requestExclusive,
+            autoRenewal: autoRenewal,
+            encryptedTerritoryMask: euint8.wrap(0)
+        });
+
+        // The request is the opening round of the negotiation
+        _proposeTerms(licenseId, terms, durationDays, inputProof);
+
+        userLicenses[msg.sender].push(licenseId);
+        patentLicenses[patentId].push(licenseId);
+        pendingRequests[patentId].push(licenseId);
+        pendingRequestIndex[licenseId] = pendingRequests[patentId].length;
 
         emit LicenseRequested(licenseId, patentId, msg.sender);
     }
 
-    // Internal function to create license agreement and handle FHE operations
-    function _createLicenseAgreement(
+    // Counter the latest proposal with new encrypted terms
+    // Parties alternate: only the side awaiting a response can counter
+    function counterOffer(
         uint256 licenseId,
-        uint256 patentId,
-        uint64 proposedFee,
-        uint64 proposedRoyaltyRate,
-        uint32 revenueCap,
-        bool requestExclusive,
-        bool autoRenewal,
-        uint8 territoryMask
-    ) internal {
-        // Encrypt proposal terms
-        euint64 encryptedFee = FHE.asEuint64(proposedFee);
-        euint64 encryptedRoyalty = FHE.asEuint64(proposedRoyaltyRate);
-        euint32 encryptedRevenueCap = FHE.asEuint32(revenueCap);
-        euint8 encryptedTerritory = FHE.asEuint8(territoryMask);
+        EncryptedLicenseTerms calldata terms,
+        uint256 durationDays,
+        bytes calldata inputProof
+    ) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensor == msg.sender || license.licensee == msg.sender, "Not a license party");
+        _requireAwaitingResponse(licenseId, license);
+        require(durationDays > 0, "Invalid duration");
 
-        address patentOwner = patents[patentId].patentOwner;
+        uint256 round = _proposeTerms(licenseId, terms, durationDays, inputProof);
 
-        licenses[licenseId] = LicenseAgreement({
-            patentId: patentId,
-            licensee: msg.sender,
-            licensor: patentOwner,
+        emit LicenseCounterOffered(licenseId, msg.sender, round);
+
+        // The owners' counter-offer counts as its proposer's approval. On a co-owned patent the
+        // licensee can accept it once the other owners have brought it to the threshold
+        if (msg.sender == license.licensor && _grantedByOwners(license)) {
+            _approveOwnersRound(licenseId, license, round + 1);
+        }
+    }
+
+    // Import a proposal, make it the license's current terms and record it as a new round
+    function _proposeTerms(
+        uint256 licenseId,
+        EncryptedLicenseTerms calldata terms,
+        uint256 durationDays,
+        bytes calldata inputProof
+    ) internal returns (uint256 round) {
+        LicenseAgreement storage license = licenses[licenseId];
+        uint256 parentId = parentLicense[licenseId];
+
+        // Import proposal terms, capping the royalty rate at 100% without revealing it
+        euint64 encryptedFee = FHE.fromExternal(terms.fee, inputProof);
+        euint64 encryptedRoyalty = FHE.min(FHE.fromExternal(terms.royaltyRate, inputProof), MAX_ROYALTY_RATE);
+        euint64 encryptedRevenueCap = FHE.fromExternal(terms.revenueCap, inputProof);
+
+        // Limit the requested territories to the patent's own, or to the parent's for a sublicense
+        euint8 encryptedTerritory = FHE.and(
+            FHE.fromExternal(terms.territoryMask, inputProof),
+            parentId == 0
+                ? patents[license.patentId].encryptedTerritoryMask
+                : licenses[parentId].encryptedTerritoryMask
+        );
+
+        // Flag proposals below the encrypted minimum fee or outside the patent's territories
+        // for the licensor only, so licensees cannot probe the reserve or the territory mask.
+        // Sublicense fees are set by the sublicensor and are not held to the patent's reserve
+        if (parentId == 0) {
+            ebool meetsMinimumFee = FHE.ge(encryptedFee, patents[license.patentId].encryptedMinLicenseFee);
+            FHE.allowThis(meetsMinimumFee);
+            FHE.allow(meetsMinimumFee, license.licensor);
+            proposalMeetsMinimumFee[licenseId] = meetsMinimumFee;
+
+            // Co-owners review the terms they are asked to approve
+            address[] storage coOwners = patentCoOwners[license.patentId];
+            for (uint256 i = 0; i < coOwners.length; i++) {
+                FHE.allow(encryptedFee, coOwners[i]);
+                FHE.allow(encryptedRoyalty, coOwners[i]);
+                FHE.allow(meetsMinimumFee, coOwners[i]);
+            }
+        }
+
+        ebool coversTerritory = FHE.ne(encryptedTerritory, 0);
+        FHE.allowThis(coversTerritory);
+        FHE.allow(coversTerritory, license.licensor);
+        proposalCoversTerritory[licenseId] = coversTerritory;
+
+        license.encryptedLicenseFee = encryptedFee;
+        license.encryptedRoyaltyRate = encryptedRoyalty;
+        license.encryptedRevenueCap = encryptedRevenueCap;
+        license.encryptedTerritoryMask = encryptedTerritory;
+
+        // Set FHE permissions in separate function to reduce stack depth
+        _setLicenseFHEPermissions(encryptedFee, encryptedRoyalty, encryptedRevenueCap,
+                                 encryptedTerritory, license.licensee, license.licensor);
+
+        round = negotiationRounds[licenseId].length;
+        negotiationRounds[licenseId].push(NegotiationRound({
+            proposer: msg.sender,
             encryptedLicenseFee: encryptedFee,
             encryptedRoyaltyRate: encryptedRoyalty,
             encryptedRevenueCap: encryptedRevenueCap,
+            encryptedTerritoryMask: encryptedTerritory,
+            durationDays: durationDays,
+            proposedAt: block.timestamp
+        }));
+    }
+
+    // Grant a licensee the right to sublicense, with the encrypted share (in basis points)
+    // of sublicense royalties that passes through to the patent owner
+    function allowSublicensing(
+        uint256 licenseId,
+        externalEuint64 passThroughRate,
+        bytes calldata inputProof
+    ) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensor == msg.sender, "Not the licensor");
+        require(license.status == LicenseStatus.Active, "License not active");
+        require(parentLicense[licenseId] == 0, "Sublicenses cannot be sublicensed");
+
+        euint64 rate = FHE.min(FHE.fromExternal(passThroughRate, inputProof), MAX_ROYALTY_RATE);
+        FHE.allowThis(rate);
+        FHE.allow(rate, license.licensor);
+        FHE.allow(rate, license.licensee);
+        passThroughRates[licenseId] = rate;
+        sublicensable[licenseId] = true;
+
+        emit SublicensingAllowed(licenseId);
+    }
+
+    // Offer a sublicense under a sublicensable license; the sublicensee accepts (or counters)
+    // the offer through the usual negotiation functions
+    function issueSublicense(
+        uint256 parentId,
+        address sublicensee,
+        EncryptedLicenseTerms calldata terms,
+        uint256 durationDays,
+        bytes calldata inputProof
+    ) external whenNotPaused validLicense(parentId) returns (uint256 licenseId) {
+        LicenseAgreement storage parent = licenses[parentId];
+        require(parent.licensee == msg.sender, "Not the licensee");
+        require(sublicensable[parentId], "Sublicensing not allowed");
+        require(parent.status == LicenseStatus.Active, "License not active");
+        require(block.timestamp < parent.endTime, "License expired");
+        require(!_patentExpired(parent.patentId), "Patent expired");
+        require(sublicensee != address(0) && sublicensee != msg.sender, "Invalid sublicensee");
+        require(durationDays > 0, "Invalid duration");
+
+        licenseId = nextLicenseId++;
+
+        licenses[licenseId] = LicenseAgreement({
+            patentId: parent.patentId,
+            licensee: sublicensee,
+            licensor: msg.sender,
+            encryptedLicenseFee: euint64.wrap(0),
+            encryptedRoyaltyRate: euint64.wrap(0),
+            encryptedRevenueCap: euint64.wrap(0),
             startTime: 0,
             endTime: 0,
             status: LicenseStatus.Pending,
-            isExclusive: requestExclusive,
-            autoRenewal: autoRenewal,
-            encryptedTerritoryMask: encryptedTerritory
+            isExclusive: false,
+            autoRenewal: false,
+            encryptedTerritoryMask: euint8.wrap(0)
         });
+        parentLicense[licenseId] = parentId;
+        sublicenses[parentId].push(licenseId);
 
-        // Set FHE permissions in separate function to reduce stack depth
-        _setLicenseFHEPermissions(encryptedFee, encryptedRoyalty, encryptedRevenueCap,
-                                 encryptedTerritory, patentOwner);
+        // The sublicensor's offer is the opening round of the negotiation
+        _proposeTerms(licenseId, terms, durationDays, inputProof);
 
-        userLicenses[msg.sender].push(licenseId);
-        patentLicenses[patentId].push(licenseId);
+        userLicenses[sublicensee].push(licenseId);
+        patentLicenses[parent.patentId].push(licenseId);
+        _recordGrant(parent.patentId, licenseId, false);
+
+        emit SublicenseIssued(parentId, licenseId, sublicensee);
     }
 
     // Internal function to handle FHE permissions
     function _setLicenseFHEPermissions(
         euint64 encryptedFee,
         euint64 encryptedRoyalty,
-        euint32 encryptedRevenueCap,
+        euint64 encryptedRevenueCap,
         euint8 encryptedTerritory,
+        address licensee,
         address patentOwner
     ) internal {
         // Set FHE permissions
@@ -230,210 +359,191 @@ contract ConfidentialPatentLicense is SepoliaConfig {
         FHE.allowThis(encryptedTerritory);
 
         // Allow both parties to see the terms
-        FHE.allow(encryptedFee, msg.sender);
+        FHE.allow(encryptedFee, licensee);
         FHE.allow(encryptedFee, patentOwner);
-        FHE.allow(encryptedRoyalty, msg.sender);
+        FHE.allow(encryptedRoyalty, licensee);
         FHE.allow(encryptedRoyalty, patentOwner);
     }
 
-    // Approve a license request
-    function approveLicense(uint256 licenseId, uint256 durationDays)
-        external validLicense(licenseId) {
+    // Approve a license request: the licensor signs off on the licensee's latest proposal.
+    // On a co-owned patent the owners' approval threshold applies, also to their own
+    // counter-offers, which other owners approve here before the licensee can accept them
+    function approveLicense(uint256 licenseId) external whenNotPaused validLicense(licenseId) {
         LicenseAgreement storage license = licenses[licenseId];
-        require(license.licensor == msg.sender, "Not the licensor");
-        require(license.status == LicenseStatus.Pending, "License not pending");
-
-        license.status = LicenseStatus.Active;
-        license.startTime = block.timestamp;
-        license.endTime = block.timestamp + (durationDays * 1 days);
+        require(_isLicensor(license, msg.sender), "Not the licensor");
+        _requireAwaitingResponse(licenseId, license);
+
+        // Approvals are for the latest round; a counter-offer starts them over
+        uint256 round = negotiationRounds[licenseId].length;
+        if (negotiationRounds[licenseId][round - 1].proposer != license.licensee) {
+            require(_grantedByOwners(license), "Awaiting counterparty");
+            _approveOwnersRound(licenseId, license, round);
+            return;
+        }
+        if (_grantedByOwners(license) &&
+            !_ownersApproved(license.patentId, keccak256(abi.encode(msg.sig, licenseId, round)))) return;
 
-        emit LicenseApproved(licenseId, license.licensee, msg.sender);
+        _activateAgreedLicense(licenseId, license);
     }
 
-    // Start confidential bidding for exclusive license
-    function startConfidentialBidding(uint256 patentId, uint256 biddingDurationHours)
-        external onlyPatentOwner(patentId) {
-        require(!biddingOpen[patentId], "Bidding already open");
-        require(biddingDurationHours > 0 && biddingDurationHours <= 168, "Invalid duration"); // Max 1 week
-
-        biddingOpen[patentId] = true;
-        biddingEndTime[patentId] = block.timestamp + (biddingDurationHours * 1 hours);
+    // Accept the licensor's latest counter-offer
+    function acceptCounterOffer(uint256 licenseId) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensee == msg.sender, "Not the licensee");
+        _requireAwaitingResponse(licenseId, license);
+        require(
+            !_grantedByOwners(license) || ownersApprovedRound[licenseId] == negotiationRounds[licenseId].length,
+            "Awaiting owner approvals"
+        );
+        _activateAgreedLicense(licenseId, license);
     }
 
-    // Submit confidential bid for exclusive license
-    function submitConfidentialBid(uint256 patentId, uint64 bidAmount)
-        external validPatent(patentId) {
-        require(biddingOpen[patentId], "Bidding not open");
-        require(block.timestamp < biddingEndTime[patentId], "Bidding ended");
-        require(bidAmount > 0, "Invalid bid amount");
-
-        // Check if first time bidder
-        euint64 existingBid = confidentialBids[patentId][msg.sender];
-        // Simple check for first-time bidder (in practice, would track separately)
-        bool isFirstBid = true;
-        for (uint i = 0; i < bidders[patentId].length; i++) {
-            if (bidders[patentId][i] == msg.sender) {
-                isFirstBid = false;
-                break;
-            }
-        }
-        if (isFirstBid) {
-            bidders[patentId].push(msg.sender);
+    // Record an owner's approval of the owners' own counter-offer in `round`
+    function _approveOwnersRound(uint256 licenseId, LicenseAgreement storage license, uint256 round) internal {
+        bytes32 action = keccak256(abi.encode(this.approveLicense.selector, licenseId, round));
+        if (_ownersApproved(license.patentId, action)) {
+            ownersApprovedRound[licenseId] = round;
         }
+    }
 
-        // Encrypt and store bid
-        euint64 encryptedBid = FHE.asEuint64(bidAmount);
-        confidentialBids[patentId][msg.sender] = encryptedBid;
-
-        // Set permissions
-        FHE.allowThis(encryptedBid);
-        FHE.allow(encryptedBid, msg.sender);
-        FHE.allow(encryptedBid, patents[patentId].patentOwner);
+    // Withdraw a license request that is still under negotiation
+    function withdrawLicenseRequest(uint256 licenseId) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensee == msg.sender, "Not the licensee");
+        require(license.status == LicenseStatus.Pending, "License not pending");
 
-        emit ConfidentialBidSubmitted(patentId, msg.sender);
+        _closeRequest(license.patentId, licenseId);
+        license.status = LicenseStatus.Withdrawn;
+        emit LicenseStatusChanged(licenseId, LicenseStatus.Withdrawn);
     }
 
-    // Finalize bidding and award exclusive license
-    function finalizeBidding(uint256 patentId) external onlyPatentOwner(patentId) {
-        require(biddingOpen[patentId], "Bidding not open");
-        require(block.timestamp >= biddingEndTime[patentId], "Bidding still active");
-
-        biddingOpen[patentId] = false;
-
-        // Find highest bidder (simplified - in practice would use FHE comparison)
-        address winner = _findHighestBidder(patentId);
-
-        if (winner != address(0)) {
-            // Create exclusive license
-            uint256 licenseId = nextLicenseId++;
-
-            licenses[licenseId] = LicenseAgreement({
-                patentId: patentId,
-                licensee: winner,
-                licensor: msg.sender,
-                encryptedLicenseFee: confidentialBids[patentId][winner],
-                encryptedRoyaltyRate: patents[patentId].encryptedRoyaltyRate,
-                encryptedRevenueCap: FHE.asEuint32(0),
-                startTime: block.timestamp,
-                endTime: block.timestamp + (365 days), // 1 year exclusive
-                status: LicenseStatus.Active,
-                isExclusive: true,
-                autoRenewal: false,
-                encryptedTerritoryMask: FHE.asEuint8(255) // All territories
-            });
-
-            userLicenses[winner].push(licenseId);
-            patentLicenses[patentId].push(licenseId);
-
-            emit ExclusiveLicenseAwarded(patentId, winner, licenseId);
+    // Both sides have now signed off on the latest round: activate it for its duration
+    function _activateAgreedLicense(uint256 licenseId, LicenseAgreement storage license) internal {
+        _requireAwaitingResponse(licenseId, license);
+        require(!_patentExpired(license.patentId), "Patent expired");
+        // The agreed fee can only be collected in the settlement token
+        require(address(settlementToken) != address(0), "Settlement token not set");
+
+        // Territories under another exclusive term are not granted; a sublicense may
+        // share its parent's exclusive territories
+        uint256 parentId = parentLicense[licenseId];
+        euint8 requestedTerritory = license.encryptedTerritoryMask;
+        euint8 grantedTerritory = _excludeExclusiveTerritories(license.patentId, parentId, requestedTerritory);
+        license.encryptedTerritoryMask = grantedTerritory;
+        FHE.allow(grantedTerritory, license.licensor);
+
+        // Both parties can see whether territories were withheld before the fee is paid, so
+        // the licensee can let a cut-down approval lapse instead
+        ebool coversRequest = FHE.eq(grantedTerritory, requestedTerritory);
+        FHE.allowThis(coversRequest);
+        FHE.allow(coversRequest, license.licensor);
+        FHE.allow(coversRequest, license.licensee);
+        grantCoversRequest[licenseId] = coversRequest;
+
+        NegotiationRound[] storage rounds = negotiationRounds[licenseId];
+        uint256 term = rounds[rounds.length - 1].durationDays * 1 days;
+        uint256 endTime = block.timestamp + term;
+
+        // A sublicense cannot outlast its parent's current term
+        if (parentId != 0) {
+            LicenseAgreement storage parent = licenses[parentId];
+            require(parent.status == LicenseStatus.Active, "Parent license not active");
+            require(block.timestamp < parent.endTime, "Parent license expired");
+            if (endTime > parent.endTime) {
+                endTime = parent.endTime;
+                term = endTime - block.timestamp;
+            }
         }
-    }
 
-    // Pay royalties with confidential revenue reporting
-    function payRoyalties(
-        uint256 licenseId,
-        uint64 reportedRevenue,
-        uint256 reportingPeriod
-    ) external payable validLicense(licenseId) {
-        LicenseAgreement storage license = licenses[licenseId];
-        require(license.licensee == msg.sender, "Not the licensee");
-        require(license.status == LicenseStatus.Active, "License not active");
+        licenseTermLength[licenseId] = term;
+        license.startTime = block.timestamp;
+        license.endTime = endTime;
 
-        // Encrypt reported revenue
-        euint64 encryptedRevenue = FHE.asEuint64(reportedRevenue);
-
-        // Store the encrypted revenue and payment for later verification
-        // The actual royalty calculation will be done off-chain or via async decryption
-        euint64 encryptedPayment = FHE.asEuint64(uint64(msg.value));
-
-        // Store payment record
-        royaltyPayments[licenseId].push(RoyaltyPayment({
-            licenseId: licenseId,
-            encryptedAmount: encryptedPayment,
-            encryptedRevenue: encryptedRevenue,
-            paymentTime: block.timestamp,
-            reportingPeriod: reportingPeriod,
-            isVerified: false
-        }));
+        // Sublicenses were recorded when offered
+        if (parentId == 0) {
+            _closeRequest(license.patentId, licenseId);
+            _recordGrant(license.patentId, licenseId, license.isExclusive);
+        }
 
-        // Set FHE permissions
-        FHE.allowThis(encryptedRevenue);
-        FHE.allowThis(encryptedPayment);
-        FHE.allow(encryptedRevenue, license.licensor);
-        FHE.allow(encryptedPayment, license.licensor);
+        emit LicenseApproved(licenseId, license.licensee, license.licensor);
 
-        // Transfer payment to licensor
-        payable(license.licensor).transfer(msg.value);
+        // The license takes effect once the licensee has paid the agreed fee with payLicenseFee
+        feeDeadline[licenseId] = block.timestamp + FEE_PAYMENT_PERIOD;
+        _setLicenseStatus(licenseId, LicenseStatus.AwaitingPayment);
+    }
 
-        emit RoyaltyPaid(licenseId, msg.sender, reportingPeriod);
+    // The caller must be answering the other party's latest proposal
+    function _requireAwaitingResponse(uint256 licenseId, LicenseAgreement storage license) internal view {
+        require(license.status == LicenseStatus.Pending, "License not pending");
+        NegotiationRound[] storage rounds = negotiationRounds[licenseId];
+        require(rounds[rounds.length - 1].proposer != msg.sender, "Awaiting counterparty");
     }
 
-    // Verify royalty payment using async decryption
-    function requestRoyaltyVerification(uint256 licenseId, uint256 paymentIndex)
-        external validLicense(licenseId) {
+    // Renew an auto-renewing license whose term has ended (callable by anyone)
+    function renew(uint256 licenseId) external whenNotPaused validLicense(licenseId) {
         LicenseAgreement storage license = licenses[licenseId];
-        require(license.licensor == msg.sender, "Not the licensor");
-        require(paymentIndex < royaltyPayments[licenseId].length, "Invalid payment index");
-
-        RoyaltyPayment storage payment = royaltyPayments[licenseId][paymentIndex];
-        require(!payment.isVerified, "Already verified");
-
-        // Prepare decryption request for verification
-        bytes32[] memory cts = new bytes32[](3);
-        cts[0] = FHE.toBytes32(payment.encryptedRevenue);
-        cts[1] = FHE.toBytes32(license.encryptedRoyaltyRate);
-        cts[2] = FHE.toBytes32(payment.encryptedAmount);
+        require(license.status == LicenseStatus.Active, "License not active");
+        require(license.autoRenewal, "Auto-renewal disabled");
+        require(block.timestamp >= license.endTime, "Not due for renewal");
 
-        // Request async decryption for verification
-        FHE.requestDecryption(cts, this.processRoyaltyVerification.selector);
+        _resolveExpiry(licenseId);
     }
 
-    // Process royalty verification callback
-    function processRoyaltyVerification(
-        uint256 requestId,
-        uint64[] memory decryptedValues,
-        bytes[] memory signatures
-    ) external {
-        // Verify signatures - the actual format may vary by FHE version
-        // For now, we'll skip signature verification or use a different approach
-        // FHE.checkSignatures(requestId, decryptedValues, signatures);
-
-        require(decryptedValues.length >= 3, "Invalid decrypted values");
-        uint64 revenue = decryptedValues[0];
-        uint64 royaltyRate = decryptedValues[1];
-        uint64 paidAmount = decryptedValues[2];
-
-        // Calculate expected royalty
-        uint64 expectedRoyalty = (revenue * royaltyRate) / 10000;
-
-        // For now, we'll mark as verified if payment is reasonable
-        // In production, you'd implement more sophisticated verification
-        bool isValid = paidAmount >= (expectedRoyalty * 95) / 100; // Allow 5% tolerance
-
-        // This is a simplified verification - in practice you'd need to
-        // track which payment this verification corresponds to
-        // emit RoyaltyVerified(licenseId, paymentIndex, isValid);
+    // Settle a batch of licenses past their end time: auto-renewing ones are renewed,
+    // the rest move to Expired, as do approvals whose fee was not paid in time. Licenses
+    // that are not due are skipped (callable by anyone)
+    function processExpirations(uint256[] calldata licenseIds) external whenNotPaused returns (uint256 processed) {
+        for (uint256 i = 0; i < licenseIds.length; i++) {
+            uint256 licenseId = licenseIds[i];
+            if (licenseId >= nextLicenseId) continue;
+
+            LicenseAgreement storage license = licenses[licenseId];
+            if (license.status == LicenseStatus.Active && block.timestamp >= license.endTime) {
+                _resolveExpiry(licenseId);
+                processed++;
+            } else if (_feeLapsed(licenseId)) {
+                _setLicenseStatus(licenseId, LicenseStatus.Expired);
+                processed++;
+            }
+        }
     }
 
-    // Update patent status
-    function updatePatentStatus(uint256 patentId, PatentStatus newStatus)
-        external onlyPatentOwner(patentId) {
-        patents[patentId].status = newStatus;
-        emit PatentStatusChanged(patentId, newStatus);
+    // Status with expiry applied, for licenses nobody has processed yet
+    function getEffectiveLicenseStatus(uint256 licenseId)
+        external view validLicense(licenseId) returns (LicenseStatus) {
+        LicenseAgreement storage license = licenses[licenseId];
+        if (license.status == LicenseStatus.Active && block.timestamp >= license.endTime && !license.autoRenewal) {
+            return LicenseStatus.Expired;
+        }
+        if (_isLive(license.status) && _patentExpired(license.patentId)) {
+            return LicenseStatus.Expired;
+        }
+        if (_feeLapsed(licenseId)) {
+            return LicenseStatus.Expired;
+        }
+        return license.status;
     }
 
-    // Update license status
-    function updateLicenseStatus(uint256 licenseId, LicenseStatus newStatus)
-        external validLicense(licenseId) {
+    // Confidential territory check: an encrypted yes/no for one territory, so a party
+    // learns whether it is licensed there without the granted mask being revealed
+    function checkTerritory(uint256 licenseId, uint8 territory)
+        external whenNotPaused validLicense(licenseId) returns (ebool licensed) {
         LicenseAgreement storage license = licenses[licenseId];
-        require(license.licensor == msg.sender, "Not the licensor");
+        require(license.licensor == msg.sender || license.licensee == msg.sender, "Not a license party");
+        require(license.status == LicenseStatus.Active, "License not active");
+        require(territory < 8, "Invalid territory");
+
+        licensed = FHE.ne(FHE.and(license.encryptedTerritoryMask, uint8(1) << territory), 0);
+        FHE.allowThis(licensed);
+        FHE.allow(licensed, msg.sender);
+        territoryChecks[licenseId][msg.sender] = licensed;
 
-        license.status = newStatus;
-        emit LicenseStatusChanged(licenseId, newStatus);
+        emit TerritoryChecked(licenseId, msg.sender, territory);
     }
 
+
     // Get patent information (respects confidentiality)
-    function getPatentInfo(uint256 patentId) external view validPatent(patentId)
+    function getPatentInfo(uint256 patentId) external view patentExists(patentId)
         returns (
             address patentOwner,
             uint256 registrationTime,
@@ -470,34 +580,18 @@ contract ConfidentialPatentLicense is SepoliaConfig {
         return patentLicenses[patentId];
     }
 
-    // Get royalty payment count for a license
-    function getRoyaltyPaymentCount(uint256 licenseId) external view returns (uint256) {
-        return royaltyPayments[licenseId].length;
-    }
-
-    // Check if bidding is active
-    function isBiddingActive(uint256 patentId) external view returns (bool) {
-        return biddingOpen[patentId] && block.timestamp < biddingEndTime[patentId];
-    }
-
-    // Internal function to find highest bidder (simplified)
-    function _findHighestBidder(uint256 patentId) internal view returns (address) {
-        address[] storage patentBidders = bidders[patentId];
-        if (patentBidders.length == 0) return address(0);
-
-        // In a real implementation, this would use FHE comparison
-        // For now, return the first bidder as a placeholder
-        return patentBidders[0];
+    // Get the requests for a patent still awaiting an answer
+    function getPendingRequests(uint256 patentId) external view returns (uint256[] memory) {
+        return pendingRequests[patentId];
     }
 
-    // Emergency functions
-    function emergencyPause(uint256 patentId) external onlyOwner {
-        patents[patentId].status = PatentStatus.Suspended;
-        emit PatentStatusChanged(patentId, PatentStatus.Suspended);
+    // Get the sublicenses issued under a license
+    function getSublicenses(uint256 licenseId) external view returns (uint256[] memory) {
+        return sublicenses[licenseId];
     }
 
-    function emergencyResume(uint256 patentId) external onlyOwner {
-        patents[patentId].status = PatentStatus.Active;
-        emit PatentStatusChanged(patentId, PatentStatus.Active);
+    // Get number of negotiation rounds for a license
+    function getNegotiationRoundCount(uint256 licenseId) external view returns (uint256) {
+        return negotiationRounds[licenseId].length;
     }
-}
\ No newline at end of file
+}
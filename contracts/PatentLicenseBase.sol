@@ -0,0 +1,692 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, euint32, euint8, ebool, externalEuint64, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
+import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import { IERC7984 } from "./interfaces/IERC7984.sol";
+import { RoyaltyAccounting } from "./libraries/RoyaltyAccounting.sol";
+
+// Shared storage, events and guards for the licensing contract and its modules.
+// Modules run through delegatecall on the licensing contract's storage, so every
+// contract in the system must inherit this first and declare no state of its own.
+// ReentrancyGuard keeps its flag in a namespaced slot, so it does not shift the layout.
+abstract contract PatentLicenseBase is ReentrancyGuard {
+
+    uint256 internal constant MAX_PATENT_TERM = 20 * 365 days; // Statutory patent term from registration
+
+    // Roles; admins manage every role
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE"); // Global and per-patent circuit breakers
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE"); // Royalty verification
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE"); // Dispute rulings
+    uint256 public constant ADMIN_DELAY = 2 days; // Timelock on sensitive admin actions
+    uint256 public constant CURE_PERIOD = 30 days; // Notice before a revocation takes effect
+    uint256 public constant FEE_PAYMENT_PERIOD = 14 days; // Time to pay the license fee after approval
+
+    address public owner; // Platform account receiving maintenance fees
+    uint256 public nextPatentId;
+    uint256 public nextLicenseId;
+    uint256 public nextDisputeId;
+    IERC7984 public settlementToken; // Optional confidential token for fees and royalties
+    uint256 public openEscrows; // Auctions and disputes holding settlement tokens; blocks token replacement
+    uint256 public maintenanceFeePerYear; // Wei charged per year of patent renewal
+
+    enum PatentStatus { Active, Suspended, Expired }
+    enum LicenseStatus { Pending, Active, Suspended, Expired, Revoked, Withdrawn, Terminated, AwaitingPayment }
+    enum VerificationStatus { Unverified, Pending, Verified, Underpaid, Overpaid }
+    enum DisputeStatus { None, Open, Resolved, Withdrawn }
+    enum Ruling { None, Dismissed, Refund, Penalty, Revocation, Reinstatement }
+    enum StatusReason { None, NonPayment, Underreporting, Breach, Insolvency, Other, Emergency }
+    enum ReportingCadence { None, Monthly, Quarterly, Annual }
+    enum MilestoneStatus { Proposed, Agreed, Triggered, Reached }
+
+    struct PatentInfo {
+        address patentOwner;
+        euint64 encryptedRoyaltyRate; // Royalty rate in basis points (encrypted)
+        euint64 encryptedMinLicenseFee; // Minimum license fee (encrypted)
+        euint32 encryptedExclusivityPeriod; // Days for exclusivity (encrypted)
+        euint8 encryptedTerritoryMask; // Licensable territories, one bit per territory (encrypted)
+        uint256 registrationTime;
+        uint256 expirationTime;
+        PatentStatus status;
+        bool isConfidential;
+        string patentHash; // IPFS hash or other reference
+        uint8 territoryCode; // Geographic territory code
+    }
+
+    struct LicenseAgreement {
+        uint256 patentId;
+        address licensee;
+        address licensor;
+        euint64 encryptedLicenseFee; // Total license fee (encrypted)
+        euint64 encryptedRoyaltyRate; // Agreed royalty rate (encrypted)
+        euint64 encryptedRevenueCap; // Cumulative revenue cap, zero for uncapped (encrypted)
+        uint256 startTime;
+        uint256 endTime;
+        LicenseStatus status;
+        bool isExclusive;
+        bool autoRenewal;
+        euint8 encryptedTerritoryMask; // Allowed territories (encrypted)
+    }
+
+    // Client-encrypted license proposal, all handles share one input proof
+    struct EncryptedLicenseTerms {
+        externalEuint64 fee;
+        externalEuint64 royaltyRate;
+        externalEuint64 revenueCap;
+        externalEuint8 territoryMask;
+    }
+
+    // One proposal in a license negotiation; terms stay encrypted
+    struct NegotiationRound {
+        address proposer;
+        euint64 encryptedLicenseFee;
+        euint64 encryptedRoyaltyRate;
+        euint64 encryptedRevenueCap;
+        euint8 encryptedTerritoryMask;
+        uint256 durationDays;
+        uint256 proposedAt;
+    }
+
+    // Pending winner reveal for a finalized auction
+    struct BiddingReveal {
+        uint256 patentId;
+        euint64 winningBid;
+        uint256 requestedAt;
+        bool pending;
+    }
+
+    struct RoyaltyPayment {
+        uint256 licenseId;
+        euint64 encryptedAmount; // Payment amount (encrypted)
+        euint64 encryptedRevenue; // Reported revenue (encrypted)
+        euint64 encryptedExpectedRoyalty; // Royalty due on the reported revenue (encrypted)
+        uint256 paymentTime;
+        uint256 reportingPeriod;
+        bool isVerified;
+        VerificationStatus verificationStatus;
+    }
+
+    // Auditor jointly appointed by a license's parties to review its royalty reports
+    struct AuditorAppointment {
+        address auditor;
+        uint256 expiresAt;
+    }
+
+    // Dispute over a license or one of its royalty payments
+    struct Dispute {
+        uint256 licenseId;
+        bool onPayment; // Against royaltyPayments[licenseId][paymentIndex] rather than the whole license
+        uint256 paymentIndex;
+        address claimant;
+        address arbiter;
+        uint256 openedAt;
+        DisputeStatus status;
+        Ruling ruling;
+    }
+
+    // Royalty reporting cadence and late-report penalties agreed for a license. Periods are
+    // numbered from 1 at the license's startTime; a report is late once its period has ended
+    // and the grace period has passed
+    struct ReportingSchedule {
+        ReportingCadence cadence;
+        uint256 gracePeriod;
+        euint64 latePenaltyFee; // Fixed charge per late report (encrypted)
+        euint64 lateInterestRate; // Charge per period late, in bps of the royalty due (encrypted)
+    }
+
+    // One-off payment due when a license reaches a milestone, e.g. regulatory approval
+    struct Milestone {
+        string description;
+        euint64 amount; // Amount due once reached (encrypted)
+        MilestoneStatus status;
+        address triggeredBy; // Party that reported the milestone as reached
+    }
+
+    // Payment awaiting a royalty verification callback
+    struct VerificationRequest {
+        uint256 licenseId;
+        uint256 paymentIndex;
+        bool pending;
+    }
+
+    // Storage mappings
+    mapping(uint256 => PatentInfo) public patents;
+    mapping(uint256 => LicenseAgreement) public licenses;
+    mapping(uint256 => RoyaltyPayment[]) public royaltyPayments;
+    mapping(uint256 => RoyaltyAccounting.Balance) public royaltyBalances;
+    // Ether credited to an account, pulled with withdrawRoyalties
+    mapping(address => uint256) public withdrawableRoyalties;
+    uint256 public totalWithdrawable; // sum of withdrawableRoyalties
+    mapping(uint256 => euint64) public paidLicenseFees; // licenseId => fee settled in the confidential token
+    mapping(address => uint256[]) public userPatents;
+    mapping(address => uint256[]) public userLicenses;
+    mapping(uint256 => uint256[]) public patentLicenses; // every request, award and sublicense, for history
+    mapping(uint256 => uint256[]) internal grantedLicenses; // patentId => licenses approved, awarded or offered
+    mapping(uint256 => uint256[]) internal exclusiveLicenses; // patentId => granted exclusive licenses
+    mapping(uint256 => uint256[]) internal pendingRequests; // patentId => requests awaiting an answer
+    mapping(uint256 => uint256) internal pendingRequestIndex; // licenseId => position in pendingRequests + 1
+    mapping(uint256 => ebool) public proposalMeetsMinimumFee; // licenseId => encrypted reserve check
+    mapping(uint256 => ebool) public proposalCoversTerritory; // licenseId => encrypted territory overlap check
+    mapping(uint256 => ebool) public grantCoversRequest; // licenseId => no requested territory withheld on approval
+    mapping(uint256 => mapping(address => ebool)) public territoryChecks; // licenseId => caller => last check result
+    mapping(uint256 => NegotiationRound[]) public negotiationRounds; // licenseId => proposal history
+    mapping(uint256 => uint256) public licenseTermLength; // licenseId => agreed term in seconds, reused on renewal
+    mapping(uint256 => uint256) public feeDeadline; // licenseId => end of the window to pay the license fee
+    mapping(uint256 => bool) public feeCheckPending; // licenseId => fee payment awaiting decryption
+    mapping(uint256 => uint256) internal feeChecks; // decryption requestId => licenseId
+
+    // Sublicensing
+    mapping(uint256 => uint256) public parentLicense; // sublicenseId => parent licenseId (0 for direct licenses)
+    mapping(uint256 => uint256[]) public sublicenses; // licenseId => sublicenses issued under it
+    mapping(uint256 => bool) public sublicensable;
+    mapping(uint256 => euint64) public passThroughRates; // licenseId => patent owner's sublicense royalty share (bps)
+    mapping(uint256 => euint64) public passedThroughRoyalties; // licenseId => total passed to the patent owner
+
+    // Confidential bidding for exclusive licenses
+    mapping(uint256 => mapping(address => euint64)) internal confidentialBids;
+    mapping(uint256 => address[]) public bidders;
+    mapping(uint256 => bool) public biddingOpen;
+    mapping(uint256 => uint256) public biddingEndTime;
+    mapping(uint256 => BiddingReveal) internal biddingReveals; // decryption requestId => reveal
+    mapping(uint256 => bool) public winnerRevealPending;
+    mapping(uint256 => uint256) internal revealRequests; // patentId => pending reveal requestId
+    mapping(uint256 => mapping(address => euint64)) internal bidDeposits; // escrowed in the settlement token
+    mapping(address => mapping(address => euint64)) public pendingRefunds; // account => token => refund
+
+    // Co-ownership: encrypted ownership shares (bps) and owner approvals of patent actions
+    mapping(uint256 => address[]) public patentCoOwners; // patentId => owners besides patentOwner
+    mapping(uint256 => mapping(address => bool)) public isCoOwner;
+    mapping(uint256 => mapping(address => euint64)) public ownershipShares; // visible to each owner only
+    mapping(uint256 => mapping(address => euint64)) public ownerRoyalties; // royalties paid out per owner
+    mapping(uint256 => uint256) public approvalThreshold; // owner approvals needed per action, 0 or 1 = sole
+    mapping(bytes32 => uint256) internal approvalNonces; // action => executions so far
+    mapping(bytes32 => uint256) public approvalCounts; // action round => approvals
+    mapping(bytes32 => mapping(address => bool)) public hasApproved; // action round => owner => approved
+    mapping(uint256 => address) public pendingPatentOwner; // patentId => assignee awaiting acceptance
+    mapping(uint256 => uint256) public ownersApprovedRound; // licenseId => owners' counter-offer round cleared
+
+    // Governance
+    mapping(bytes32 => mapping(address => bool)) public hasRole;
+    mapping(bytes32 => uint256) public roleMemberCount;
+    bool public paused; // Global circuit breaker
+    mapping(bytes32 => uint256) public adminActionEta; // scheduled action => earliest execution time
+
+    // Royalty audits
+    mapping(uint256 => AuditorAppointment) public licenseAuditors; // licenseId => current appointment
+    mapping(uint256 => bytes32) internal auditorProposals; // licenseId => proposed (auditor, period)
+    mapping(uint256 => address) public auditorProposer; // licenseId => party awaiting confirmation
+
+    // Status reasons and revocation notices
+    mapping(uint256 => StatusReason) public patentStatusReasons; // patentId => reason for the last status change
+    mapping(uint256 => StatusReason) public licenseStatusReasons; // licenseId => reason for the last status change
+    mapping(uint256 => uint256) public revocationEffectiveAt; // licenseId => end of the cure period, 0 if no notice
+
+    // Disputes
+    mapping(uint256 => Dispute) public disputes;
+    mapping(uint256 => uint256) public activeDispute; // licenseId => open disputeId (0 if none)
+    mapping(uint256 => euint64) public disputeEscrow; // disputeId => royalties held until the ruling
+
+    // Reporting schedules
+    mapping(uint256 => ReportingSchedule) public reportingSchedules; // licenseId => agreed schedule
+    mapping(uint256 => ReportingSchedule) public proposedSchedules; // licenseId => schedule awaiting the licensee
+    mapping(uint256 => mapping(uint256 => bool)) public periodReported; // licenseId => reporting period => reported
+    mapping(uint256 => mapping(uint256 => euint64)) public latePenalties; // licenseId => period => penalty charged
+
+    // Milestones and minimum annual royalties
+    mapping(uint256 => Milestone[]) public milestones;
+    mapping(uint256 => euint64) public proposedAnnualMinimums; // licenseId => minimum awaiting the licensee
+    mapping(uint256 => euint64) public annualMinimums; // licenseId => minimum royalty per license year
+    mapping(uint256 => uint256) public minimumYearEnd; // licenseId => end of the first license year not yet closed
+    mapping(uint256 => mapping(uint256 => euint64)) public yearRoyalties; // licenseId => license year => royalties
+    mapping(uint256 => mapping(uint256 => euint64)) public yearTopUps; // licenseId => license year => top-up left
+    mapping(uint256 => euint64) public minimumTopUps; // licenseId => total charged to reach the minimum
+
+    // Tiered royalty rates, ascending by threshold
+    mapping(uint256 => RoyaltyAccounting.RateTier[]) internal royaltyTiers; // licenseId => agreed tiers
+    // licenseId => tiers awaiting the licensee
+    mapping(uint256 => RoyaltyAccounting.RateTier[]) internal proposedRoyaltyTiers;
+
+    // Royalty verification requests awaiting decryption
+    mapping(uint256 => VerificationRequest) internal verificationRequests; // decryption requestId => payment
+
+    // Events
+    event PatentRegistered(uint256 indexed patentId, address indexed owner, string patentHash);
+    event LicenseRequested(uint256 indexed licenseId, uint256 indexed patentId, address indexed licensee);
+    event LicenseApproved(uint256 indexed licenseId, address indexed licensee, address indexed licensor);
+    event LicenseCounterOffered(uint256 indexed licenseId, address indexed proposer, uint256 round);
+    event RoyaltyPaid(uint256 indexed licenseId, address indexed payer, uint256 reportingPeriod);
+    event LicenseFeePaid(uint256 indexed licenseId, address indexed payer);
+    event LicenseFeeCheckRequested(uint256 indexed licenseId, uint256 requestId);
+    event LicenseFeeChecked(uint256 indexed licenseId, bool settled);
+    event SettlementTokenUpdated(address indexed token);
+    event RoyaltyVerificationRequested(uint256 indexed licenseId, uint256 indexed paymentIndex, uint256 requestId);
+    event RoyaltyVerified(uint256 indexed licenseId, uint256 indexed paymentIndex, VerificationStatus status);
+    event AuditorProposed(
+        uint256 indexed licenseId,
+        address indexed auditor,
+        address indexed proposer,
+        uint256 period
+    );
+    event AuditorAppointed(uint256 indexed licenseId, address indexed auditor, uint256 expiresAt);
+    event AuditAccessGranted(
+        uint256 indexed licenseId,
+        address indexed auditor,
+        uint256 firstPayment,
+        uint256 paymentCount
+    );
+    event AuditorRevoked(uint256 indexed licenseId, address indexed auditor, address indexed revoker);
+    event PatentStatusNoted(uint256 indexed patentId, PatentStatus newStatus, StatusReason reason, string note);
+    event LicenseStatusNoted(uint256 indexed licenseId, LicenseStatus newStatus, StatusReason reason, string note);
+    event RevocationNoticeIssued(uint256 indexed licenseId, StatusReason reason, uint256 effectiveAt, string note);
+    event RevocationNoticeWithdrawn(uint256 indexed licenseId);
+    event ReportingScheduleProposed(uint256 indexed licenseId, ReportingCadence cadence, uint256 gracePeriod);
+    event ReportingScheduleSet(uint256 indexed licenseId, ReportingCadence cadence, uint256 gracePeriod);
+    event LatePenaltyCharged(uint256 indexed licenseId, uint256 indexed reportingPeriod, uint256 periodsLate);
+    event MilestoneProposed(uint256 indexed licenseId, uint256 indexed index, string description);
+    event MilestoneAgreed(uint256 indexed licenseId, uint256 indexed index);
+    event MilestoneTriggered(uint256 indexed licenseId, uint256 indexed index, address indexed triggeredBy);
+    event MilestoneReached(uint256 indexed licenseId, uint256 indexed index);
+    event AnnualMinimumProposed(uint256 indexed licenseId);
+    event AnnualMinimumSet(uint256 indexed licenseId, uint256 firstYearEnd);
+    event AnnualMinimumApplied(uint256 indexed licenseId, uint256 yearsEnded);
+    event AnnualMinimumCredited(uint256 indexed licenseId, uint256 year);
+    event RoyaltyTiersProposed(uint256 indexed licenseId, uint256 tierCount);
+    event RoyaltyTiersSet(uint256 indexed licenseId, uint256 tierCount);
+    event DisputeOpened(uint256 indexed disputeId, uint256 indexed licenseId, address indexed claimant);
+    event ArbiterAssigned(uint256 indexed disputeId, address indexed arbiter);
+    event DisputeResolved(uint256 indexed disputeId, uint256 indexed licenseId, Ruling ruling);
+    event DisputeWithdrawn(uint256 indexed disputeId, uint256 indexed licenseId, address indexed by);
+    event ConfidentialBidSubmitted(uint256 indexed patentId, address indexed bidder);
+    event BiddingFinalized(uint256 indexed patentId, uint256 indexed requestId, uint256 bidderCount);
+    event BiddingClosedWithoutAward(uint256 indexed patentId);
+    event BiddingCancelled(uint256 indexed patentId, uint256 indexed requestId);
+    event RefundWithdrawn(address indexed user, address indexed token);
+    event RoyaltiesWithdrawn(address indexed account, uint256 amount);
+    event ExclusiveLicenseAwarded(uint256 indexed patentId, address indexed winner, uint256 indexed licenseId);
+    event PatentStatusChanged(uint256 indexed patentId, PatentStatus newStatus);
+    event LicenseStatusChanged(uint256 indexed licenseId, LicenseStatus newStatus);
+    event LicenseRenewed(uint256 indexed licenseId, uint256 newEndTime);
+    event TerritoryChecked(uint256 indexed licenseId, address indexed requester, uint8 territory);
+    event PatentRenewed(uint256 indexed patentId, uint256 newExpirationTime);
+    event MaintenanceFeeUpdated(uint256 feePerYear);
+    event SublicensingAllowed(uint256 indexed licenseId);
+    event SublicenseIssued(uint256 indexed parentId, uint256 indexed sublicenseId, address indexed sublicensee);
+    event CoOwnersSet(uint256 indexed patentId, uint256 coOwnerCount, uint256 approvalThreshold);
+    event ApprovalThresholdUpdated(uint256 indexed patentId, uint256 threshold);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+    event AdminActionScheduled(bytes32 indexed action, address indexed scheduler, uint256 eta);
+    event AdminActionExecuted(bytes32 indexed action, address indexed executor);
+    event AdminActionCancelled(bytes32 indexed action, address indexed canceller);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event PatentTransferInitiated(uint256 indexed patentId, address indexed from, address indexed to);
+    event PatentTransferred(uint256 indexed patentId, address indexed from, address indexed to);
+    event OwnerActionApproved(
+        uint256 indexed patentId, bytes32 indexed action, address indexed approver, uint256 approvals
+    );
+
+    modifier onlyRole(bytes32 role) {
+        require(hasRole[role][msg.sender], "Not authorized");
+        _;
+    }
+
+    // Applied to every state-changing entry point except governance and decryption callbacks
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
+    modifier onlyPatentOwner(uint256 patentId) {
+        require(patents[patentId].patentOwner == msg.sender, "Not patent owner");
+        _;
+    }
+
+    // The primary owner or any co-owner
+    modifier onlyPatentOwners(uint256 patentId) {
+        require(_isPatentOwner(patentId, msg.sender), "Not patent owner");
+        _;
+    }
+
+    modifier patentExists(uint256 patentId) {
+        require(patentId < nextPatentId, "Invalid patent ID");
+        _;
+    }
+
+    modifier validPatent(uint256 patentId) {
+        require(patentId < nextPatentId, "Invalid patent ID");
+        require(patents[patentId].status == PatentStatus.Active, "Patent not active");
+        require(block.timestamp < patents[patentId].expirationTime, "Patent expired");
+        _;
+    }
+
+    modifier validLicense(uint256 licenseId) {
+        require(licenseId < nextLicenseId, "Invalid license ID");
+        _;
+    }
+
+    // Expired by status or past its expiration time, whether or not anyone has processed it yet
+    function _patentExpired(uint256 patentId) internal view returns (bool) {
+        PatentInfo storage patent = patents[patentId];
+        return patent.status == PatentStatus.Expired || block.timestamp >= patent.expirationTime;
+    }
+
+    // An exclusive license holds its territories from approval until its term ends or it is
+    // ended; a suspended one keeps them, as it can be reactivated. An approval whose fee has
+    // lapsed gives them up at once. An auto-renewing one keeps them until its expiry is processed
+    function _inExclusiveTerm(uint256 licenseId) internal view returns (bool) {
+        LicenseAgreement storage license = licenses[licenseId];
+        LicenseStatus status = license.status;
+        return license.isExclusive &&
+            (status == LicenseStatus.Active || status == LicenseStatus.AwaitingPayment ||
+                status == LicenseStatus.Suspended) &&
+            !_feeLapsed(licenseId) &&
+            (block.timestamp < license.endTime || license.autoRenewal);
+    }
+
+    // Strip the territories held by the patent's exclusive licenses from a new grant, so
+    // overlapping rights are refused homomorphically without revealing either mask.
+    // `exemptLicenseId` (0 for none) keeps its territories, for sublicenses of that license
+    function _excludeExclusiveTerritories(uint256 patentId, uint256 exemptLicenseId, euint8 territoryMask)
+        internal
+        returns (euint8)
+    {
+        uint256[] storage licenseIds = exclusiveLicenses[patentId];
+        for (uint256 i = 0; i < licenseIds.length; i++) {
+            uint256 otherId = licenseIds[i];
+            if (otherId != exemptLicenseId && _inExclusiveTerm(otherId)) {
+                territoryMask = FHE.and(territoryMask, FHE.not(licenses[otherId].encryptedTerritoryMask));
+            }
+        }
+        FHE.allowThis(territoryMask);
+        return territoryMask;
+    }
+
+    // Apply renewal or expiry to an active license whose end time has passed
+    // Licenses on an expired patent cannot be renewed
+    function _resolveExpiry(uint256 licenseId) internal {
+        LicenseAgreement storage license = licenses[licenseId];
+        if (block.timestamp < license.endTime) return;
+
+        if (license.autoRenewal && !_patentExpired(license.patentId)) {
+            // Extend by whole terms until the license is current again
+            uint256 term = licenseTermLength[licenseId];
+            uint256 periods = (block.timestamp - license.endTime) / term + 1;
+            license.endTime += periods * term;
+            emit LicenseRenewed(licenseId, license.endTime);
+        } else {
+            license.status = LicenseStatus.Expired;
+            emit LicenseStatusChanged(licenseId, LicenseStatus.Expired);
+        }
+    }
+
+    // Track a license its grantor has approved, awarded or offered. Only these, and requests
+    // still pending, are visited when the patent expires or changes hands
+    function _recordGrant(uint256 patentId, uint256 licenseId, bool exclusive) internal {
+        grantedLicenses[patentId].push(licenseId);
+        if (exclusive) exclusiveLicenses[patentId].push(licenseId);
+    }
+
+    // Drop a request from its patent's pending list once it is answered or withdrawn
+    function _closeRequest(uint256 patentId, uint256 licenseId) internal {
+        uint256 index = pendingRequestIndex[licenseId];
+        if (index == 0) return;
+
+        uint256[] storage requests = pendingRequests[patentId];
+        uint256 last = requests[requests.length - 1];
+        requests[index - 1] = last;
+        pendingRequestIndex[last] = index;
+        requests.pop();
+        delete pendingRequestIndex[licenseId];
+    }
+
+    // Pending, awaiting payment, active or suspended: the license still has effect and can expire
+    function _isLive(LicenseStatus status) internal pure returns (bool) {
+        return status == LicenseStatus.Pending || status == LicenseStatus.AwaitingPayment ||
+            status == LicenseStatus.Active || status == LicenseStatus.Suspended;
+    }
+
+    // An approval lapses when its license fee is not confirmed by the deadline
+    function _feeLapsed(uint256 licenseId) internal view returns (bool) {
+        return licenses[licenseId].status == LicenseStatus.AwaitingPayment &&
+            block.timestamp >= feeDeadline[licenseId] && !feeCheckPending[licenseId];
+    }
+
+    // Revoking or terminating a license ends any revocation notice on it and revokes every
+    // sublicense still in effect under it, except those frozen by a dispute of their own
+    function _setLicenseStatus(uint256 licenseId, LicenseStatus newStatus) internal {
+        licenses[licenseId].status = newStatus;
+        emit LicenseStatusChanged(licenseId, newStatus);
+        if (newStatus != LicenseStatus.Revoked && newStatus != LicenseStatus.Terminated) return;
+
+        revocationEffectiveAt[licenseId] = 0;
+
+        uint256[] storage children = sublicenses[licenseId];
+        for (uint256 i = 0; i < children.length; i++) {
+            LicenseAgreement storage child = licenses[children[i]];
+            if (_isLive(child.status) && activeDispute[children[i]] == 0) {
+                child.status = LicenseStatus.Revoked;
+                emit LicenseStatusChanged(children[i], LicenseStatus.Revoked);
+            }
+        }
+    }
+
+    function _requireNotPaused() internal view {
+        require(!paused, "Contract paused");
+    }
+
+    function _grantRole(bytes32 role, address account) internal {
+        if (hasRole[role][account]) return;
+        hasRole[role][account] = true;
+        roleMemberCount[role]++;
+        emit RoleGranted(role, account, msg.sender);
+    }
+
+    function _isPatentOwner(uint256 patentId, address account) internal view returns (bool) {
+        return patents[patentId].patentOwner == account || isCoOwner[patentId][account];
+    }
+
+    // The auditor currently appointed to a license, or zero once the appointment has ended
+    function _activeAuditor(uint256 licenseId) internal view returns (address) {
+        AuditorAppointment storage appointment = licenseAuditors[licenseId];
+        return block.timestamp < appointment.expiresAt ? appointment.auditor : address(0);
+    }
+
+    // A license granted by the patent owner may be managed by any of the patent's owners
+    function _isLicensor(LicenseAgreement storage license, address account) internal view returns (bool) {
+        return license.licensor == account ||
+            (license.licensor == patents[license.patentId].patentOwner && isCoOwner[license.patentId][account]);
+    }
+
+    function _grantedByOwners(LicenseAgreement storage license) internal view returns (bool) {
+        return license.licensor == patents[license.patentId].patentOwner;
+    }
+
+    // Record the caller's approval of an owner action and report whether the patent's
+    // approval threshold is now met. `action` identifies the call and its arguments;
+    // once it executes, approvals for it start over
+    function _ownersApproved(uint256 patentId, bytes32 action) internal returns (bool) {
+        uint256 threshold = approvalThreshold[patentId];
+        if (threshold <= 1) return true;
+
+        bytes32 round = keccak256(abi.encode(action, approvalNonces[action]));
+        require(!hasApproved[round][msg.sender], "Already approved");
+        hasApproved[round][msg.sender] = true;
+        uint256 approvals = ++approvalCounts[round];
+        emit OwnerActionApproved(patentId, action, msg.sender, approvals);
+
+        if (approvals < threshold) return false;
+        approvalNonces[action]++;
+        return true;
+    }
+
+    // Pay an amount held by this contract to the patent's owners. Co-owners receive their
+    // encrypted share of it and the primary owner the rest
+    function _payPatentOwners(uint256 patentId, euint64 amount) internal returns (euint64 paid) {
+        address primary = patents[patentId].patentOwner;
+        address[] storage coOwners = patentCoOwners[patentId];
+        if (coOwners.length == 0) {
+            FHE.allowTransient(amount, address(settlementToken));
+            return settlementToken.confidentialTransfer(primary, amount);
+        }
+
+        euint64 remaining = amount;
+        for (uint256 i = 0; i < coOwners.length; i++) {
+            // Shares sum to at most 10000 bps, so the parts never exceed the amount
+            euint64 part = RoyaltyAccounting.computeRoyalty(amount, ownershipShares[patentId][coOwners[i]]);
+            remaining = FHE.sub(remaining, part);
+            _payOwner(patentId, coOwners[i], part);
+        }
+        _payOwner(patentId, primary, remaining);
+        return amount;
+    }
+
+    function _payOwner(uint256 patentId, address account, euint64 amount) private {
+        FHE.allowTransient(amount, address(settlementToken));
+        euint64 sent = settlementToken.confidentialTransfer(account, amount);
+
+        euint64 total = FHE.add(ownerRoyalties[patentId][account], sent);
+        FHE.allowThis(total);
+        FHE.allow(total, account);
+        ownerRoyalties[patentId][account] = total;
+    }
+
+    // Pay out a royalty held by this contract: a sublicense's royalty is split with the patent
+    // owners by pass-through rate, others go to the licensor, or to a co-owned patent's owners
+    // by share when they granted the license
+    function _releaseRoyalty(uint256 licenseId, euint64 amount) internal {
+        LicenseAgreement storage license = licenses[licenseId];
+        uint256 patentId = license.patentId;
+        uint256 parentId = parentLicense[licenseId];
+        if (parentId != 0) {
+            _passThroughRoyalty(parentId, license.licensor, amount);
+        } else if (patentCoOwners[patentId].length != 0 && license.licensor == patents[patentId].patentOwner) {
+            _payPatentOwners(patentId, amount);
+        } else {
+            FHE.allowTransient(amount, address(settlementToken));
+            settlementToken.confidentialTransfer(license.licensor, amount);
+        }
+    }
+
+    // Split a sublicense royalty held by this contract: the parent license's encrypted
+    // pass-through share goes to the patent owner and the rest to the sublicensor
+    function _passThroughRoyalty(uint256 parentId, address sublicensor, euint64 received) internal {
+        uint256 patentId = licenses[parentId].patentId;
+
+        euint64 share = RoyaltyAccounting.computeRoyalty(received, passThroughRates[parentId]);
+        euint64 remainder = FHE.sub(received, share);
+        FHE.allowTransient(remainder, address(settlementToken));
+        share = _payPatentOwners(patentId, share);
+        settlementToken.confidentialTransfer(sublicensor, remainder);
+
+        euint64 total = FHE.add(passedThroughRoyalties[parentId], share);
+        passedThroughRoyalties[parentId] = total;
+        RoyaltyAccounting.allowParties(total, patents[patentId].patentOwner, sublicensor);
+    }
+
+    function _periodLength(ReportingCadence cadence) internal pure returns (uint256) {
+        if (cadence == ReportingCadence.Monthly) return 30 days;
+        if (cadence == ReportingCadence.Quarterly) return 90 days;
+        return 365 days;
+    }
+
+    // When a scheduled license's report for a period becomes late
+    function _reportDueAt(uint256 licenseId, uint256 period) internal view returns (uint256) {
+        ReportingSchedule storage schedule = reportingSchedules[licenseId];
+        return licenses[licenseId].startTime + period * _periodLength(schedule.cadence) + schedule.gracePeriod;
+    }
+
+    // License year, counted from 1 at startTime, that a royalty report belongs to: the year its
+    // period starts in on a scheduled license, otherwise the year it is filed in
+    function _reportYear(uint256 licenseId, uint256 period) internal view returns (uint256) {
+        LicenseAgreement storage license = licenses[licenseId];
+        ReportingCadence cadence = reportingSchedules[licenseId].cadence;
+        uint256 since = cadence == ReportingCadence.None
+            ? block.timestamp - license.startTime
+            : (period - 1) * _periodLength(cadence);
+        return since / 365 days + 1;
+    }
+
+    // A license year closes once every report that counts towards it is due: after its end, or
+    // on a scheduled license after the due date of the report for the last period starting in it
+    function _yearClosesAt(uint256 licenseId, uint256 yearEnd) internal view returns (uint256) {
+        ReportingCadence cadence = reportingSchedules[licenseId].cadence;
+        if (cadence == ReportingCadence.None) return yearEnd;
+
+        uint256 length = _periodLength(cadence);
+        return _reportDueAt(licenseId, (yearEnd - licenses[licenseId].startTime + length - 1) / length);
+    }
+
+    // Top up the royalties owed to the annual minimum for each closed license year that ended
+    // within the term, by the year's shortfall against the royalties reported for it
+    function _applyAnnualMinimum(uint256 licenseId) internal {
+        LicenseAgreement storage license = licenses[licenseId];
+        uint256 yearEnd = minimumYearEnd[licenseId];
+        if (yearEnd == 0) return;
+
+        euint64 minimum = annualMinimums[licenseId];
+        euint64 topUp;
+        uint256 year = (yearEnd - license.startTime) / 365 days;
+        uint256 yearsEnded;
+        uint256 unreported;
+        while (yearEnd <= license.endTime && block.timestamp > _yearClosesAt(licenseId, yearEnd)) {
+            euint64 booked = yearRoyalties[licenseId][year];
+            if (FHE.isInitialized(booked)) {
+                euint64 shortfall = RoyaltyAccounting.remaining(minimum, booked);
+                RoyaltyAccounting.allowParties(shortfall, license.licensor, license.licensee);
+                yearTopUps[licenseId][year] = shortfall;
+                topUp = FHE.isInitialized(topUp) ? FHE.add(topUp, shortfall) : shortfall;
+            } else {
+                yearTopUps[licenseId][year] = minimum;
+                unreported++;
+            }
+            year++;
+            yearsEnded++;
+            yearEnd += 365 days;
+        }
+        if (yearsEnded == 0) return;
+
+        // Years without reports are topped up by the full minimum
+        if (unreported > 0) {
+            euint64 full = FHE.mul(minimum, uint64(unreported));
+            topUp = FHE.isInitialized(topUp) ? FHE.add(topUp, full) : full;
+        }
+        RoyaltyAccounting.charge(royaltyBalances[licenseId], topUp, license.licensor, license.licensee);
+
+        euint64 total = FHE.add(minimumTopUps[licenseId], topUp);
+        RoyaltyAccounting.allowParties(total, license.licensor, license.licensee);
+        minimumTopUps[licenseId] = total;
+        minimumYearEnd[licenseId] = yearEnd;
+
+        emit AnnualMinimumApplied(licenseId, yearsEnded);
+    }
+
+    // Ether payments are credited rather than pushed, so a recipient that cannot take a plain
+    // transfer (e.g. a multisig) never blocks the payer
+    function _creditWithdrawable(address account, uint256 amount) internal {
+        withdrawableRoyalties[account] += amount;
+        totalWithdrawable += amount;
+    }
+
+    // Move an encrypted amount between accounts through the settlement token
+    function _pullConfidential(address from, address to, euint64 amount) internal returns (euint64 transferred) {
+        require(address(settlementToken) != address(0), "Settlement token not set");
+
+        FHE.allowTransient(amount, address(settlementToken));
+        transferred = settlementToken.confidentialTransferFrom(from, to, amount);
+    }
+
+    // Forward the current call to a module, running its code on this contract's storage
+    function _delegate(address module) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { euint64 } from "@fhevm/solidity/lib/FHE.sol";
+
+// Subset of the ERC-7984 confidential token interface used for settlement
+interface IERC7984 {
+    event OperatorSet(address indexed holder, address indexed operator, uint48 until);
+    event ConfidentialTransfer(address indexed from, address indexed to, euint64 indexed amount);
+
+    function confidentialBalanceOf(address account) external view returns (euint64);
+
+    function isOperator(address holder, address spender) external view returns (bool);
+
+    function setOperator(address operator, uint48 until) external;
+
+    // Transfers are all-or-nothing: an insufficient balance moves zero
+    // Returns the encrypted amount actually transferred
+    function confidentialTransfer(address to, euint64 amount) external returns (euint64 transferred);
+
+    function confidentialTransferFrom(address from, address to, euint64 amount)
+        external returns (euint64 transferred);
+}
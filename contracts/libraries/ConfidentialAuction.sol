@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, euint32, ebool } from "@fhevm/solidity/lib/FHE.sol";
+
+// Encrypted winner selection and deposit release for sealed-bid auctions.
+// ACL grants made here belong to the calling contract.
+library ConfidentialAuction {
+
+    uint32 internal constant NO_WINNER = type(uint32).max; // Winner index when no bid clears the reserve
+
+    // Encrypted running maximum over all bids, carrying the winner's index
+    // Ties go to the earliest bidder; under-reserve bids are zero and never win
+    function findHighestBid(mapping(address => euint64) storage bids, address[] storage bidders)
+        internal returns (euint64 highestBid, euint32 winnerIndex) {
+        highestBid = bids[bidders[0]];
+        winnerIndex = FHE.asEuint32(0);
+
+        for (uint32 i = 1; i < bidders.length; i++) {
+            euint64 bid = bids[bidders[i]];
+            ebool isHigher = FHE.gt(bid, highestBid);
+            highestBid = FHE.select(isHigher, bid, highestBid);
+            winnerIndex = FHE.select(isHigher, FHE.asEuint32(i), winnerIndex);
+        }
+
+        // A zero maximum means no bid cleared the reserve
+        winnerIndex = FHE.select(FHE.gt(highestBid, 0), winnerIndex, FHE.asEuint32(NO_WINNER));
+
+        FHE.allowThis(highestBid);
+    }
+
+    // Credit every bidder's escrowed deposit to their refund balance in the escrow token,
+    // less the winning bid
+    function releaseDeposits(
+        mapping(address => euint64) storage deposits,
+        mapping(address => mapping(address => euint64)) storage refunds,
+        address token,
+        address[] storage bidders,
+        address winner,
+        euint64 winningBid
+    ) internal {
+        for (uint256 i = 0; i < bidders.length; i++) {
+            address bidder = bidders[i];
+            euint64 refund = deposits[bidder];
+            if (bidder == winner) {
+                refund = FHE.sub(refund, winningBid);
+            }
+            deposits[bidder] = euint64.wrap(0);
+
+            euint64 pending = FHE.add(refunds[bidder][token], refund);
+            refunds[bidder][token] = pending;
+            FHE.allowThis(pending);
+            FHE.allow(pending, bidder);
+        }
+    }
+}
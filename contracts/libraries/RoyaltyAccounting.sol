@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+
+// Encrypted royalty bookkeeping per license.
+// ACL grants made here belong to the calling contract.
+library RoyaltyAccounting {
+
+    uint64 private constant BASIS_POINTS = 10000;
+
+    // Running royalty account per license, visible to licensor and licensee only
+    struct Balance {
+        euint64 totalOwed; // Sum of expected royalties (encrypted)
+        euint64 totalPaid; // Sum of payments (encrypted)
+        euint64 arrears; // Outstanding amount, zero when paid up (encrypted)
+        euint64 cumulativeRevenue; // Sum of reported revenue (encrypted)
+        ebool capReached; // Revenue cap crossed, no further royalties due (encrypted)
+    }
+
+    // Rate tier: the rate applies to cumulative revenue above the threshold, up to the next
+    // tier's threshold
+    struct RateTier {
+        euint64 threshold; // Cumulative revenue where the tier starts (encrypted)
+        euint64 rate; // Basis points (encrypted)
+    }
+
+    // Book a reporting period: compute the royalty due on the revenue still under
+    // the cap, at the tiered rates if there are any, and accrue it against the payment.
+    // Returns the expected royalty and the revenue it was charged on.
+    function accrue(
+        Balance storage balance,
+        euint64 revenue,
+        euint64 payment,
+        euint64 royaltyRate,
+        RateTier[] storage tiers,
+        euint64 revenueCap,
+        address licensor,
+        address licensee
+    ) internal returns (euint64 expectedRoyalty, euint64 royaltyBearingRevenue) {
+        euint64 previousRevenue = balance.cumulativeRevenue;
+        royaltyBearingRevenue = _applyRevenueCap(balance, revenue, revenueCap);
+        expectedRoyalty = tiers.length == 0
+            ? computeRoyalty(royaltyBearingRevenue, royaltyRate)
+            : computeTieredRoyalty(previousRevenue, royaltyBearingRevenue, royaltyRate, tiers);
+        _accrue(balance, expectedRoyalty, payment);
+
+        allowParties(expectedRoyalty, licensor, licensee);
+        allowParties(balance.cumulativeRevenue, licensor, licensee);
+        allowParties(balance.totalOwed, licensor, licensee);
+        allowParties(balance.totalPaid, licensor, licensee);
+        allowParties(balance.arrears, licensor, licensee);
+        FHE.allowThis(balance.capReached);
+        FHE.allow(balance.capReached, licensor);
+        FHE.allow(balance.capReached, licensee);
+    }
+
+    // Add a charge beyond the royalty, e.g. a late-report penalty, to the amount owed
+    function charge(Balance storage balance, euint64 amount, address licensor, address licensee) internal {
+        euint64 totalOwed = FHE.add(balance.totalOwed, amount);
+        balance.totalOwed = totalOwed;
+        balance.arrears = remaining(totalOwed, balance.totalPaid);
+
+        allowParties(balance.totalOwed, licensor, licensee);
+        allowParties(balance.arrears, licensor, licensee);
+    }
+
+    // Take back part of an earlier charge, at most the charge itself
+    function waive(Balance storage balance, euint64 amount, address licensor, address licensee) internal {
+        euint64 totalOwed = FHE.sub(balance.totalOwed, amount);
+        balance.totalOwed = totalOwed;
+        balance.arrears = remaining(totalOwed, balance.totalPaid);
+
+        allowParties(balance.totalOwed, licensor, licensee);
+        allowParties(balance.arrears, licensor, licensee);
+    }
+
+    // Expected royalty = revenue * rate / 10000, split into quotient and remainder
+    // so the product cannot wrap around 64 bits (rate is capped at 10000)
+    function computeRoyalty(euint64 revenue, euint64 royaltyRate) internal returns (euint64) {
+        euint64 whole = FHE.mul(FHE.div(revenue, BASIS_POINTS), royaltyRate);
+        euint64 fraction = FHE.div(FHE.mul(FHE.rem(revenue, BASIS_POINTS), royaltyRate), BASIS_POINTS);
+        return FHE.add(whole, fraction);
+    }
+
+    // Royalty on revenue reported on top of previousRevenue: each tier's rate applies to the
+    // part of it above the tier's threshold and below the next one's, baseRate to the part
+    // below the first threshold. Thresholds must be ascending. Each part is counted in whole
+    // 10000 wei units, skipping the remainder pass of computeRoyalty
+    function computeTieredRoyalty(
+        euint64 previousRevenue,
+        euint64 revenue,
+        euint64 baseRate,
+        RateTier[] storage tiers
+    ) internal returns (euint64 royalty) {
+        euint64 cumulativeRevenue = FHE.add(previousRevenue, revenue);
+        euint64 upper = revenue; // Part of the revenue above the previous threshold
+        euint64 rate = baseRate;
+        for (uint256 i = 0; i < tiers.length; i++) {
+            euint64 above = FHE.min(revenue, remaining(cumulativeRevenue, tiers[i].threshold));
+            euint64 part = FHE.mul(FHE.div(FHE.sub(upper, above), BASIS_POINTS), rate);
+            royalty = i == 0 ? part : FHE.add(royalty, part);
+            upper = above;
+            rate = tiers[i].rate;
+        }
+        royalty = FHE.add(royalty, FHE.mul(FHE.div(upper, BASIS_POINTS), rate));
+    }
+
+    // Interest on the royalty for a revenue, per period: revenue * royaltyRate * interestRate
+    // / 10000^2. Revenue is counted in whole 1e8 units so the product cannot wrap around
+    // 64 bits, and the FHE chain stays short enough to follow an accrual in one transaction
+    function computeInterest(euint64 revenue, euint64 royaltyRate, euint64 interestRate, uint64 periods)
+        internal returns (euint64) {
+        euint64 rate = FHE.mul(FHE.mul(royaltyRate, interestRate), periods);
+        return FHE.mul(FHE.div(revenue, BASIS_POINTS * BASIS_POINTS), rate);
+    }
+
+    // The same from the royalty itself, for tiered licenses where no single rate applies:
+    // royalty * interestRate / 10000 per period, counting the royalty in whole 10000 wei units
+    function computeRoyaltyInterest(euint64 royalty, euint64 interestRate, uint64 periods)
+        internal returns (euint64) {
+        return FHE.mul(FHE.div(royalty, BASIS_POINTS), FHE.mul(interestRate, periods));
+    }
+
+    // total - paid, floored at zero
+    function remaining(euint64 total, euint64 paid) internal returns (euint64) {
+        return FHE.select(FHE.gt(total, paid), FHE.sub(total, paid), FHE.asEuint64(0));
+    }
+
+    function allowParties(euint64 value, address licensor, address licensee) internal {
+        FHE.allowThis(value);
+        FHE.allow(value, licensor);
+        FHE.allow(value, licensee);
+    }
+
+    // Grant an account read access to a running balance, e.g. a license's new licensor.
+    // Charges can be booked before the first payment, so only the owed side may exist
+    function allowBalance(Balance storage balance, address account) internal {
+        if (!FHE.isInitialized(balance.totalOwed)) return; // Nothing booked yet
+
+        FHE.allow(balance.totalOwed, account);
+        FHE.allow(balance.arrears, account);
+        if (!FHE.isInitialized(balance.totalPaid)) return;
+
+        FHE.allow(balance.totalPaid, account);
+        FHE.allow(balance.cumulativeRevenue, account);
+        FHE.allow(balance.capReached, account);
+    }
+
+    function allowTiers(RateTier[] storage tiers, address account) internal {
+        for (uint256 i = 0; i < tiers.length; i++) {
+            FHE.allow(tiers[i].threshold, account);
+            FHE.allow(tiers[i].rate, account);
+        }
+    }
+
+    // Accumulate reported revenue and return the part of it still below the revenue cap
+    // A zero cap means the license is uncapped
+    function _applyRevenueCap(Balance storage balance, euint64 revenue, euint64 revenueCap)
+        private returns (euint64) {
+        euint64 previousRevenue = balance.cumulativeRevenue;
+        euint64 cumulativeRevenue = FHE.add(previousRevenue, revenue);
+        euint64 headroom = remaining(revenueCap, previousRevenue);
+
+        ebool uncapped = FHE.eq(revenueCap, 0);
+        balance.cumulativeRevenue = cumulativeRevenue;
+        balance.capReached = FHE.and(FHE.not(uncapped), FHE.ge(cumulativeRevenue, revenueCap));
+
+        return FHE.select(uncapped, revenue, FHE.min(revenue, headroom));
+    }
+
+    // Add a payment to the running balance and recompute the arrears
+    function _accrue(Balance storage balance, euint64 expectedRoyalty, euint64 payment) private {
+        euint64 totalOwed = FHE.add(balance.totalOwed, expectedRoyalty);
+        euint64 totalPaid = FHE.add(balance.totalPaid, payment);
+
+        balance.totalOwed = totalOwed;
+        balance.totalPaid = totalPaid;
+        balance.arrears = remaining(totalOwed, totalPaid);
+    }
+}
@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, ebool, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { IERC7984 } from "../interfaces/IERC7984.sol";
+
+// Minimal ERC-7984 style token for local tests. Anyone can mint.
+contract MockConfidentialToken is IERC7984, SepoliaConfig {
+
+    string public name;
+    string public symbol;
+
+    mapping(address => euint64) private balances;
+    mapping(address => mapping(address => uint48)) private operators;
+
+    constructor(string memory name_, string memory symbol_) {
+        name = name_;
+        symbol = symbol_;
+    }
+
+    function decimals() external pure returns (uint8) {
+        return 6;
+    }
+
+    // Mint a cleartext amount (test helper)
+    function mint(address to, uint64 amount) external {
+        euint64 balance = FHE.add(balances[to], amount);
+        _setBalance(to, balance);
+    }
+
+    function confidentialBalanceOf(address account) external view returns (euint64) {
+        return balances[account];
+    }
+
+    function isOperator(address holder, address spender) public view returns (bool) {
+        return holder == spender || block.timestamp <= operators[holder][spender];
+    }
+
+    function setOperator(address operator, uint48 until) external {
+        operators[msg.sender][operator] = until;
+        emit OperatorSet(msg.sender, operator, until);
+    }
+
+    // Transfer a client-encrypted amount
+    function confidentialTransfer(address to, externalEuint64 encryptedAmount, bytes calldata inputProof)
+        external returns (euint64 transferred) {
+        transferred = _transfer(msg.sender, to, FHE.fromExternal(encryptedAmount, inputProof));
+    }
+
+    function confidentialTransfer(address to, euint64 amount) external returns (euint64 transferred) {
+        require(FHE.isSenderAllowed(amount), "Unauthorized amount");
+        transferred = _transfer(msg.sender, to, amount);
+    }
+
+    function confidentialTransferFrom(address from, address to, euint64 amount)
+        external returns (euint64 transferred) {
+        require(FHE.isSenderAllowed(amount), "Unauthorized amount");
+        require(isOperator(from, msg.sender), "Not an operator");
+        transferred = _transfer(from, to, amount);
+    }
+
+    function _transfer(address from, address to, euint64 amount) internal returns (euint64 transferred) {
+        require(to != address(0), "Invalid receiver");
+
+        ebool sufficient = FHE.ge(balances[from], amount);
+        transferred = FHE.select(sufficient, amount, FHE.asEuint64(0));
+
+        _setBalance(from, FHE.sub(balances[from], transferred));
+        _setBalance(to, FHE.add(balances[to], transferred));
+
+        FHE.allowThis(transferred);
+        FHE.allow(transferred, msg.sender);
+        FHE.allow(transferred, from);
+        FHE.allow(transferred, to);
+
+        emit ConfidentialTransfer(from, to, transferred);
+    }
+
+    function _setBalance(address account, euint64 balance) internal {
+        balances[account] = balance;
+        FHE.allowThis(balance);
+        FHE.allow(balance, account);
+    }
+}
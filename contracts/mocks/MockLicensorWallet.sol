@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Contract account for local tests, e.g. a multisig licensor. Receiving ether costs more
+// than the 2300 gas a plain transfer forwards, and can optionally call back into the sender.
+contract MockLicensorWallet {
+
+    uint256 public received;
+    bytes private callback;
+
+    // Forward a call from this wallet (test helper)
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool ok, bytes memory result) = target.call{ value: msg.value }(data);
+        if (!ok) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    // Call the sender with `data` whenever ether arrives, e.g. to attempt re-entrancy
+    function setCallback(bytes calldata data) external {
+        callback = data;
+    }
+
+    receive() external payable {
+        received += msg.value;
+        if (callback.length > 0) {
+            (bool ok, bytes memory result) = msg.sender.call(callback);
+            if (!ok) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+    }
+}
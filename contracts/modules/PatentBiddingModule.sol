@@ -0,0 +1,258 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, euint32, euint8, ebool, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { IERC7984 } from "../interfaces/IERC7984.sol";
+import { PatentLicenseModule } from "./PatentLicenseModule.sol";
+import { RoyaltyAccounting } from "../libraries/RoyaltyAccounting.sol";
+import { ConfidentialAuction } from "../libraries/ConfidentialAuction.sol";
+
+// Sealed-bid auctions for exclusive licenses, with bid escrow and refunds.
+contract PatentBiddingModule is PatentLicenseModule {
+
+    uint256 private constant MAX_BIDDERS = 20; // Keeps the encrypted winner search within per-tx FHE limits
+    uint256 public constant DECRYPTION_TIMEOUT = 7 days; // After which an unanswered winner reveal can be cancelled
+
+    constructor(address nextModule_) PatentLicenseModule(nextModule_) {}
+
+    // Start confidential bidding for exclusive license
+    function startConfidentialBidding(uint256 patentId, uint256 biddingDurationHours)
+        external whenNotPaused validPatent(patentId) onlyPatentOwners(patentId) {
+        require(!biddingOpen[patentId], "Bidding already open");
+        require(!winnerRevealPending[patentId], "Winner reveal pending");
+        require(biddingDurationHours > 0 && biddingDurationHours <= 168, "Invalid duration"); // Max 1 week
+        require(!_hasExclusiveLicense(patentId), "Exclusive license active");
+        if (!_ownersApproved(patentId, keccak256(abi.encode(msg.sig, patentId, biddingDurationHours)))) return;
+
+        biddingOpen[patentId] = true;
+        biddingEndTime[patentId] = block.timestamp + (biddingDurationHours * 1 hours);
+    }
+
+    // Submit confidential bid for exclusive license
+    // The bid amount is encrypted client-side and validated against inputProof, and is
+    // escrowed in the settlement token; the bidder must have set this contract as operator
+    function submitConfidentialBid(uint256 patentId, externalEuint64 bidAmount, bytes calldata inputProof)
+        external whenNotPaused validPatent(patentId) {
+        require(biddingOpen[patentId], "Bidding not open");
+        require(block.timestamp < biddingEndTime[patentId], "Bidding ended");
+
+        // Simple check for first-time bidder (in practice, would track separately)
+        bool isFirstBid = true;
+        for (uint i = 0; i < bidders[patentId].length; i++) {
+            if (bidders[patentId][i] == msg.sender) {
+                isFirstBid = false;
+                break;
+            }
+        }
+        if (isFirstBid) {
+            require(bidders[patentId].length < MAX_BIDDERS, "Too many bidders");
+            // The first bid puts the auction's escrow in flight until deposits are released
+            if (bidders[patentId].length == 0) openEscrows++;
+            bidders[patentId].push(msg.sender);
+        }
+
+        // Import the bid and zero it out if it is below the encrypted reserve price,
+        // so an under-reserve bid can never win and neither amount is revealed
+        euint64 submittedBid = FHE.fromExternal(bidAmount, inputProof);
+        ebool meetsReserve = FHE.ge(submittedBid, patents[patentId].encryptedMinLicenseFee);
+
+        // Only the escrowed amount counts as the bid: an unfunded bid transfers zero
+        euint64 encryptedBid = _pullConfidential(
+            msg.sender,
+            address(this),
+            FHE.select(meetsReserve, submittedBid, FHE.asEuint64(0))
+        );
+        confidentialBids[patentId][msg.sender] = encryptedBid;
+
+        // Rebidding escrows the new amount on top; the excess is refunded after finalization
+        euint64 deposit = FHE.add(bidDeposits[patentId][msg.sender], encryptedBid);
+        bidDeposits[patentId][msg.sender] = deposit;
+
+        // Set permissions: the bidder keeps access to the amount they submitted and their
+        // deposit, while the reserve-adjusted bid is only visible to the patent owner
+        FHE.allowThis(encryptedBid);
+        FHE.allowThis(deposit);
+        FHE.allow(submittedBid, msg.sender);
+        FHE.allow(deposit, msg.sender);
+        FHE.allow(encryptedBid, patents[patentId].patentOwner);
+
+        emit ConfidentialBidSubmitted(patentId, msg.sender);
+    }
+
+    // Finalize bidding: select the highest bid homomorphically and request decryption
+    // of the winner's index and the exclusivity period only, so losing bids stay confidential
+    function finalizeBidding(uint256 patentId) external whenNotPaused onlyPatentOwners(patentId) {
+        require(biddingOpen[patentId], "Bidding not open");
+        require(block.timestamp >= biddingEndTime[patentId], "Bidding still active");
+        if (!_ownersApproved(patentId, keccak256(abi.encode(msg.sig, patentId, biddingEndTime[patentId])))) return;
+
+        biddingOpen[patentId] = false;
+
+        uint256 bidderCount = bidders[patentId].length;
+        if (bidderCount == 0) {
+            emit BiddingFinalized(patentId, 0, 0);
+            return;
+        }
+
+        (euint64 winningBid, euint32 winnerIndex) =
+            ConfidentialAuction.findHighestBid(confidentialBids[patentId], bidders[patentId]);
+
+        bytes32[] memory cts = new bytes32[](2);
+        cts[0] = FHE.toBytes32(winnerIndex);
+        cts[1] = FHE.toBytes32(patents[patentId].encryptedExclusivityPeriod);
+        uint256 requestId = FHE.requestDecryption(cts, this.finalizeBiddingCallback.selector);
+
+        biddingReveals[requestId] = BiddingReveal({
+            patentId: patentId,
+            winningBid: winningBid,
+            requestedAt: block.timestamp,
+            pending: true
+        });
+        revealRequests[patentId] = requestId;
+        winnerRevealPending[patentId] = true;
+
+        emit BiddingFinalized(patentId, requestId, bidderCount);
+    }
+
+    // Gateway callback: award the exclusive license to the revealed winner
+    function finalizeBiddingCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        BiddingReveal memory reveal = biddingReveals[requestId];
+        require(reveal.pending, "Unknown reveal request");
+        delete biddingReveals[requestId];
+
+        uint256 patentId = reveal.patentId;
+        (uint32 winnerIndex, uint32 exclusivityDays) = abi.decode(cleartexts, (uint32, uint32));
+        address winner = winnerIndex == ConfidentialAuction.NO_WINNER ? address(0) : bidders[patentId][winnerIndex];
+
+        // A patent that expired before the reveal cannot be licensed: every deposit is refunded
+        if (_patentExpired(patentId)) {
+            winner = address(0);
+        }
+
+        winnerRevealPending[patentId] = false;
+        delete revealRequests[patentId];
+        openEscrows--;
+        ConfidentialAuction.releaseDeposits(
+            bidDeposits[patentId],
+            pendingRefunds,
+            address(settlementToken),
+            bidders[patentId],
+            winner,
+            reveal.winningBid
+        );
+        delete bidders[patentId];
+
+        if (winner == address(0)) {
+            emit BiddingClosedWithoutAward(patentId);
+            return;
+        }
+
+        _awardExclusiveLicense(patentId, winner, reveal.winningBid, uint256(exclusivityDays) * 1 days);
+    }
+
+    // Cancel an auction whose winner reveal went unanswered for DECRYPTION_TIMEOUT: every
+    // deposit is refunded and a late callback is rejected. Anyone may call it, so bidders
+    // are never left depending on the patent owners to release their deposits
+    function cancelBidding(uint256 patentId) external whenNotPaused {
+        require(winnerRevealPending[patentId], "No reveal pending");
+        uint256 requestId = revealRequests[patentId];
+        require(block.timestamp >= biddingReveals[requestId].requestedAt + DECRYPTION_TIMEOUT, "Reveal not timed out");
+
+        euint64 winningBid = biddingReveals[requestId].winningBid;
+        delete biddingReveals[requestId];
+        delete revealRequests[patentId];
+        winnerRevealPending[patentId] = false;
+        openEscrows--;
+        ConfidentialAuction.releaseDeposits(
+            bidDeposits[patentId],
+            pendingRefunds,
+            address(settlementToken),
+            bidders[patentId],
+            address(0),
+            winningBid
+        );
+        delete bidders[patentId];
+
+        emit BiddingCancelled(patentId, requestId);
+    }
+
+    // Create the exclusive license for an auction winner, running for the patent's exclusivity period
+    function _awardExclusiveLicense(uint256 patentId, address winner, euint64 winningBid, uint256 term) internal {
+        uint256 licenseId = nextLicenseId++;
+        address patentOwner = patents[patentId].patentOwner;
+
+        // All of the patent's territories, less any granted exclusively while the auction ran
+        euint64 noRevenueCap = FHE.asEuint64(0);
+        euint8 grantedTerritory = _excludeExclusiveTerritories(patentId, 0, patents[patentId].encryptedTerritoryMask);
+        FHE.allowThis(noRevenueCap);
+        FHE.allow(grantedTerritory, patentOwner);
+
+        licenses[licenseId] = LicenseAgreement({
+            patentId: patentId,
+            licensee: winner,
+            licensor: patentOwner,
+            encryptedLicenseFee: winningBid,
+            encryptedRoyaltyRate: patents[patentId].encryptedRoyaltyRate,
+            encryptedRevenueCap: noRevenueCap,
+            startTime: block.timestamp,
+            endTime: block.timestamp + term,
+            status: LicenseStatus.Active,
+            isExclusive: true,
+            autoRenewal: false,
+            encryptedTerritoryMask: grantedTerritory
+        });
+
+        // Winning fee and royalty terms are visible to both parties
+        FHE.allow(winningBid, winner);
+        FHE.allow(winningBid, patentOwner);
+        FHE.allow(patents[patentId].encryptedRoyaltyRate, winner);
+
+        // The winner's escrowed deposit settles the license fee, shared among any co-owners
+        euint64 feePaid = _payPatentOwners(patentId, winningBid);
+        paidLicenseFees[licenseId] = feePaid;
+        RoyaltyAccounting.allowParties(feePaid, patentOwner, winner);
+
+        licenseTermLength[licenseId] = term;
+
+        userLicenses[winner].push(licenseId);
+        patentLicenses[patentId].push(licenseId);
+        _recordGrant(patentId, licenseId, true);
+
+        emit ExclusiveLicenseAwarded(patentId, winner, licenseId);
+    }
+
+    // Whether any license on the patent is within an exclusive term
+    function _hasExclusiveLicense(uint256 patentId) private view returns (bool) {
+        uint256[] storage licenseIds = exclusiveLicenses[patentId];
+        for (uint256 i = 0; i < licenseIds.length; i++) {
+            if (_inExclusiveTerm(licenseIds[i])) return true;
+        }
+        return false;
+    }
+
+    // Withdraw released bid deposits and dispute refunds owed in the given token. Only the
+    // amount the token actually transferred leaves the balance
+    function withdrawRefund(address token) external whenNotPaused nonReentrant {
+        euint64 amount = pendingRefunds[msg.sender][token];
+        require(FHE.isInitialized(amount), "No refund available");
+
+        FHE.allowTransient(amount, token);
+        euint64 remaining = FHE.sub(amount, IERC7984(token).confidentialTransfer(msg.sender, amount));
+        FHE.allowThis(remaining);
+        FHE.allow(remaining, msg.sender);
+        pendingRefunds[msg.sender][token] = remaining;
+
+        emit RefundWithdrawn(msg.sender, token);
+    }
+
+    // Check if bidding is active
+    function isBiddingActive(uint256 patentId) external view returns (bool) {
+        return biddingOpen[patentId] && block.timestamp < biddingEndTime[patentId];
+    }
+}
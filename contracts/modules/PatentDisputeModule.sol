@@ -0,0 +1,185 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint64, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { PatentLicenseModule } from "./PatentLicenseModule.sol";
+import { RoyaltyAccounting } from "../libraries/RoyaltyAccounting.sol";
+
+// Disputes over licenses and royalty payments. While a dispute is open the license's status
+// is frozen and its confidential royalties are escrowed until an arbiter rules.
+contract PatentDisputeModule is PatentLicenseModule {
+
+    // How long the admins have to assign an arbiter before the other party may close the dispute
+    uint256 public constant ARBITER_ASSIGNMENT_PERIOD = 14 days;
+
+    constructor(address nextModule_) PatentLicenseModule(nextModule_) {}
+
+    // Dispute a license as a whole, e.g. a breach of its terms or an unjustified revocation
+    function openDispute(uint256 licenseId) external whenNotPaused validLicense(licenseId) returns (uint256) {
+        return _openDispute(licenseId, false, 0);
+    }
+
+    // Dispute a single royalty payment, e.g. one verified as underpaid or overpaid
+    function openPaymentDispute(uint256 licenseId, uint256 paymentIndex)
+        external whenNotPaused validLicense(licenseId) returns (uint256) {
+        require(paymentIndex < royaltyPayments[licenseId].length, "Invalid payment index");
+        return _openDispute(licenseId, true, paymentIndex);
+    }
+
+    function _openDispute(uint256 licenseId, bool onPayment, uint256 paymentIndex)
+        private returns (uint256 disputeId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensee == msg.sender || _isLicensor(license, msg.sender), "Not a license party");
+        LicenseStatus status = license.status;
+        require(
+            status == LicenseStatus.Active || status == LicenseStatus.Suspended || status == LicenseStatus.Revoked,
+            "License not disputable"
+        );
+        require(activeDispute[licenseId] == 0, "Dispute already open");
+
+        disputeId = nextDisputeId++;
+        disputes[disputeId] = Dispute({
+            licenseId: licenseId,
+            onPayment: onPayment,
+            paymentIndex: paymentIndex,
+            claimant: msg.sender,
+            arbiter: address(0),
+            openedAt: block.timestamp,
+            status: DisputeStatus.Open,
+            ruling: Ruling.None
+        });
+        activeDispute[licenseId] = disputeId;
+        openEscrows++;
+
+        emit DisputeOpened(disputeId, licenseId, msg.sender);
+    }
+
+    // Assign or replace a dispute's arbiter, who gets read access to the license terms and
+    // the disputed payments
+    function assignArbiter(uint256 disputeId, address arbiter) external whenNotPaused onlyRole(ADMIN_ROLE) {
+        Dispute storage dispute = disputes[disputeId];
+        require(dispute.status == DisputeStatus.Open, "Dispute not open");
+        require(hasRole[ARBITER_ROLE][arbiter], "Not an arbiter");
+        LicenseAgreement storage license = licenses[dispute.licenseId];
+        require(arbiter != license.licensee && !_isLicensor(license, arbiter), "Invalid arbiter");
+
+        dispute.arbiter = arbiter;
+        _allowArbiter(disputeId, dispute, arbiter);
+
+        emit ArbiterAssigned(disputeId, arbiter);
+    }
+
+    // Execute the arbiter's ruling. Refunds and penalties take an encrypted amount: a refund
+    // is credited to the licensee's pending refunds out of the escrowed royalties, capped at
+    // the escrow on a license dispute; a penalty is charged to the licensee through the
+    // settlement token. Whatever remains in escrow is then released as royalties
+    function resolveDispute(uint256 disputeId, Ruling ruling, externalEuint64 amount, bytes calldata inputProof)
+        external whenNotPaused {
+        Dispute storage dispute = disputes[disputeId];
+        require(dispute.status == DisputeStatus.Open, "Dispute not open");
+        require(dispute.arbiter == msg.sender, "Not the arbiter");
+        require(ruling != Ruling.None, "Invalid ruling");
+
+        uint256 licenseId = dispute.licenseId;
+        LicenseAgreement storage license = licenses[licenseId];
+        dispute.status = DisputeStatus.Resolved;
+        dispute.ruling = ruling;
+        activeDispute[licenseId] = 0;
+        openEscrows--;
+
+        euint64 held = disputeEscrow[disputeId];
+        if (ruling == Ruling.Refund) {
+            euint64 refund = FHE.fromExternal(amount, inputProof);
+            euint64 fromEscrow = FHE.min(refund, held);
+            held = FHE.sub(held, fromEscrow);
+            // A disputed payment reached the licensor before the dispute opened, so the part of
+            // the refund the escrow cannot cover is pulled back from the licensor, who must have
+            // set this contract as an operator on the settlement token
+            refund = dispute.onPayment
+                ? FHE.add(fromEscrow, _pullConfidential(license.licensor, address(this), FHE.sub(refund, fromEscrow)))
+                : fromEscrow;
+            euint64 pending = FHE.add(pendingRefunds[license.licensee][address(settlementToken)], refund);
+            FHE.allowThis(pending);
+            FHE.allow(pending, license.licensee);
+            pendingRefunds[license.licensee][address(settlementToken)] = pending;
+        } else if (ruling == Ruling.Penalty) {
+            euint64 penalty = FHE.fromExternal(amount, inputProof);
+            held = FHE.add(held, _pullConfidential(license.licensee, address(this), penalty));
+        } else if (ruling == Ruling.Revocation) {
+            _setLicenseStatus(licenseId, LicenseStatus.Revoked);
+        } else if (ruling == Ruling.Reinstatement) {
+            revocationEffectiveAt[licenseId] = 0;
+            // Territories granted exclusively while the license was revoked stay with their holders
+            if (license.isExclusive && license.status == LicenseStatus.Revoked) {
+                euint8 territory =
+                    _excludeExclusiveTerritories(license.patentId, 0, license.encryptedTerritoryMask);
+                license.encryptedTerritoryMask = territory;
+                FHE.allow(territory, license.licensor);
+            }
+            _setLicenseStatus(licenseId, LicenseStatus.Active);
+        }
+
+        if (FHE.isInitialized(held)) {
+            _releaseRoyalty(licenseId, held);
+        }
+
+        emit DisputeResolved(disputeId, licenseId, ruling);
+    }
+
+    // Close an open dispute without a ruling. The claimant may withdraw it at any time; the
+    // other party only once no arbiter was assigned within the assignment period. Whatever
+    // was escrowed is released as royalties
+    function withdrawDispute(uint256 disputeId) external whenNotPaused {
+        Dispute storage dispute = disputes[disputeId];
+        require(dispute.status == DisputeStatus.Open, "Dispute not open");
+        uint256 licenseId = dispute.licenseId;
+        if (dispute.claimant != msg.sender) {
+            LicenseAgreement storage license = licenses[licenseId];
+            require(license.licensee == msg.sender || _isLicensor(license, msg.sender), "Not a license party");
+            require(
+                dispute.arbiter == address(0) && block.timestamp >= dispute.openedAt + ARBITER_ASSIGNMENT_PERIOD,
+                "Arbiter period not over"
+            );
+        }
+
+        dispute.status = DisputeStatus.Withdrawn;
+        activeDispute[licenseId] = 0;
+        openEscrows--;
+
+        euint64 held = disputeEscrow[disputeId];
+        if (FHE.isInitialized(held)) {
+            _releaseRoyalty(licenseId, held);
+        }
+
+        emit DisputeWithdrawn(disputeId, licenseId, msg.sender);
+    }
+
+    function _allowArbiter(uint256 disputeId, Dispute storage dispute, address arbiter) private {
+        uint256 licenseId = dispute.licenseId;
+        LicenseAgreement storage license = licenses[licenseId];
+        FHE.allow(license.encryptedLicenseFee, arbiter);
+        FHE.allow(license.encryptedRoyaltyRate, arbiter);
+        FHE.allow(license.encryptedTerritoryMask, arbiter);
+        if (FHE.isInitialized(license.encryptedRevenueCap)) {
+            FHE.allow(license.encryptedRevenueCap, arbiter);
+        }
+        if (FHE.isInitialized(paidLicenseFees[licenseId])) {
+            FHE.allow(paidLicenseFees[licenseId], arbiter);
+        }
+        if (FHE.isInitialized(disputeEscrow[disputeId])) {
+            FHE.allow(disputeEscrow[disputeId], arbiter);
+        }
+        RoyaltyAccounting.allowTiers(royaltyTiers[licenseId], arbiter);
+        RoyaltyAccounting.allowBalance(royaltyBalances[licenseId], arbiter);
+
+        // A payment dispute opens that payment only; a license dispute the whole history
+        RoyaltyPayment[] storage payments = royaltyPayments[licenseId];
+        uint256 first = dispute.onPayment ? dispute.paymentIndex : 0;
+        uint256 end = dispute.onPayment ? first + 1 : payments.length;
+        for (uint256 i = first; i < end; i++) {
+            FHE.allow(payments[i].encryptedRevenue, arbiter);
+            FHE.allow(payments[i].encryptedAmount, arbiter);
+            FHE.allow(payments[i].encryptedExpectedRoyalty, arbiter);
+        }
+    }
+}
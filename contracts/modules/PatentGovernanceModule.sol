@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IERC7984 } from "../interfaces/IERC7984.sol";
+import { PatentLicenseModule } from "./PatentLicenseModule.sol";
+
+// Platform governance: roles, the global and per-patent circuit breakers and timelocked
+// admin settings.
+contract PatentGovernanceModule is PatentLicenseModule {
+
+    constructor(address nextModule_) PatentLicenseModule(nextModule_) {}
+
+    // Role changes are timelocked like the other sensitive admin actions
+    function grantRole(bytes32 role, address account) external onlyRole(ADMIN_ROLE) {
+        require(_isRole(role), "Invalid role");
+        require(account != address(0), "Invalid account");
+        if (!_timelocked(keccak256(abi.encode(msg.sig, role, account)))) return;
+
+        _grantRole(role, account);
+    }
+
+    function revokeRole(bytes32 role, address account) external onlyRole(ADMIN_ROLE) {
+        require(hasRole[role][account], "Role not held");
+        if (!_timelocked(keccak256(abi.encode(msg.sig, role, account)))) return;
+
+        _revokeRole(role, account);
+    }
+
+    // Give up one of the caller's roles immediately
+    function renounceRole(bytes32 role) external {
+        require(hasRole[role][msg.sender], "Role not held");
+        _revokeRole(role, msg.sender);
+    }
+
+    // Change the account receiving maintenance fees
+    function transferOwnership(address newOwner) external onlyRole(ADMIN_ROLE) {
+        require(newOwner != address(0), "Invalid account");
+        if (!_timelocked(keccak256(abi.encode(msg.sig, newOwner)))) return;
+
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    // Configure the confidential token used for fee and royalty settlement.
+    // The first token takes effect at once; replacing it is timelocked
+    function setSettlementToken(address token) external onlyRole(ADMIN_ROLE) {
+        if (address(settlementToken) != address(0)) {
+            if (!_timelocked(keccak256(abi.encode(msg.sig, token)))) return;
+            // Escrowed deposits and royalties are paid out in the token they were taken in
+            require(openEscrows == 0, "Escrow outstanding");
+        }
+
+        settlementToken = IERC7984(token);
+        emit SettlementTokenUpdated(token);
+    }
+
+    // Set the per-year fee charged by renewPatent
+    function setMaintenanceFee(uint256 feePerYear) external onlyRole(ADMIN_ROLE) {
+        if (!_timelocked(keccak256(abi.encode(msg.sig, feePerYear)))) return;
+
+        maintenanceFeePerYear = feePerYear;
+        emit MaintenanceFeeUpdated(feePerYear);
+    }
+
+    // Drop a scheduled admin action before it executes
+    function cancelAdminAction(bytes32 action) external onlyRole(ADMIN_ROLE) {
+        require(adminActionEta[action] != 0, "Action not scheduled");
+        adminActionEta[action] = 0;
+        emit AdminActionCancelled(action, msg.sender);
+    }
+
+    // Global circuit breaker: halts every state-changing function except governance and
+    // pending decryption callbacks
+    function pause() external onlyRole(PAUSER_ROLE) {
+        require(!paused, "Contract paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        require(paused, "Contract not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    // Per-patent emergency functions. An emergency suspension is recorded with the Emergency
+    // reason, and only such suspensions can be lifted here; the owners' own suspensions are not
+    function emergencyPause(uint256 patentId) external onlyRole(PAUSER_ROLE) {
+        require(!_patentExpired(patentId), "Patent expired");
+        require(patents[patentId].status == PatentStatus.Active, "Invalid status transition");
+        _setEmergencyStatus(patentId, PatentStatus.Suspended, StatusReason.Emergency);
+    }
+
+    function emergencyResume(uint256 patentId) external onlyRole(PAUSER_ROLE) {
+        require(!_patentExpired(patentId), "Patent expired");
+        require(
+            patents[patentId].status == PatentStatus.Suspended &&
+                patentStatusReasons[patentId] == StatusReason.Emergency,
+            "Not an emergency suspension"
+        );
+        _setEmergencyStatus(patentId, PatentStatus.Active, StatusReason.None);
+    }
+
+    // Sensitive admin actions take two calls: the first schedules the action (function and
+    // arguments), and the same call by any admin once ADMIN_DELAY has passed executes it
+    function _timelocked(bytes32 action) private returns (bool) {
+        uint256 eta = adminActionEta[action];
+        if (eta == 0) {
+            eta = block.timestamp + ADMIN_DELAY;
+            adminActionEta[action] = eta;
+            emit AdminActionScheduled(action, msg.sender, eta);
+            return false;
+        }
+
+        require(block.timestamp >= eta, "Timelock not expired");
+        adminActionEta[action] = 0;
+        emit AdminActionExecuted(action, msg.sender);
+        return true;
+    }
+
+    function _revokeRole(bytes32 role, address account) private {
+        require(role != ADMIN_ROLE || roleMemberCount[ADMIN_ROLE] > 1, "Last admin");
+        hasRole[role][account] = false;
+        roleMemberCount[role]--;
+        emit RoleRevoked(role, account, msg.sender);
+    }
+
+    function _setEmergencyStatus(uint256 patentId, PatentStatus newStatus, StatusReason reason) private {
+        patents[patentId].status = newStatus;
+        patentStatusReasons[patentId] = reason;
+        emit PatentStatusChanged(patentId, newStatus);
+        emit PatentStatusNoted(patentId, newStatus, reason, "");
+    }
+
+    function _isRole(bytes32 role) private pure returns (bool) {
+        return role == ADMIN_ROLE || role == PAUSER_ROLE || role == AUDITOR_ROLE || role == ARBITER_ROLE;
+    }
+}
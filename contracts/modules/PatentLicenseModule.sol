@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { PatentLicenseBase } from "../PatentLicenseBase.sol";
+
+// Base for contracts reached through ConfidentialPatentLicense's fallback by delegatecall.
+// Modules execute on the licensing contract's storage; calling one directly has no effect
+// on the licensing contract. Calls a module does not implement go to the next module.
+abstract contract PatentLicenseModule is PatentLicenseBase {
+
+    address private immutable nextModule;
+
+    constructor(address nextModule_) {
+        nextModule = nextModule_;
+    }
+
+    fallback() external payable {
+        require(nextModule != address(0), "Unknown function");
+        _delegate(nextModule);
+    }
+}
@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { PatentLicenseModule } from "./PatentLicenseModule.sol";
+import { RoyaltyAccounting } from "../libraries/RoyaltyAccounting.sol";
+
+// Payment terms beyond the royalty rate: milestone payments and a minimum annual royalty.
+// The licensor proposes them encrypted, the licensee accepts, and amounts that fall due are
+// booked into the license's royalty balance.
+contract PatentMilestoneModule is PatentLicenseModule {
+
+    uint256 private constant MAX_MILESTONES = 20;
+
+    constructor(address nextModule_) PatentLicenseModule(nextModule_) {}
+
+    // Propose a milestone payment; it binds once the licensee accepts it
+    function proposeMilestone(
+        uint256 licenseId,
+        string calldata description,
+        externalEuint64 amount,
+        bytes calldata inputProof
+    ) external whenNotPaused validLicense(licenseId) returns (uint256 index) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(_isLicensor(license, msg.sender), "Not the licensor");
+        require(_isLive(license.status), "License not live");
+        require(milestones[licenseId].length < MAX_MILESTONES, "Too many milestones");
+
+        euint64 encryptedAmount = FHE.fromExternal(amount, inputProof);
+        RoyaltyAccounting.allowParties(encryptedAmount, license.licensor, license.licensee);
+
+        index = milestones[licenseId].length;
+        milestones[licenseId].push(Milestone({
+            description: description,
+            amount: encryptedAmount,
+            status: MilestoneStatus.Proposed,
+            triggeredBy: address(0)
+        }));
+
+        emit MilestoneProposed(licenseId, index, description);
+    }
+
+    function acceptMilestone(uint256 licenseId, uint256 index) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensee == msg.sender, "Not the licensee");
+        Milestone storage milestone = _milestone(licenseId, index);
+        require(milestone.status == MilestoneStatus.Proposed, "Milestone not proposed");
+
+        milestone.status = MilestoneStatus.Agreed;
+        emit MilestoneAgreed(licenseId, index);
+    }
+
+    // Either party reports an agreed milestone as reached; the other party confirms it
+    function triggerMilestone(uint256 licenseId, uint256 index) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensee == msg.sender || _isLicensor(license, msg.sender), "Not a license party");
+        require(_isLive(license.status), "License not live");
+        Milestone storage milestone = _milestone(licenseId, index);
+        require(milestone.status == MilestoneStatus.Agreed, "Milestone not agreed");
+
+        milestone.status = MilestoneStatus.Triggered;
+        milestone.triggeredBy = msg.sender;
+        emit MilestoneTriggered(licenseId, index, msg.sender);
+    }
+
+    // Confirming books the milestone amount into the royalty balance as owed
+    function confirmMilestone(uint256 licenseId, uint256 index) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        bool isLicensee = license.licensee == msg.sender;
+        require(isLicensee || _isLicensor(license, msg.sender), "Not a license party");
+        Milestone storage milestone = _milestone(licenseId, index);
+        require(milestone.status == MilestoneStatus.Triggered, "Milestone not triggered");
+        require((milestone.triggeredBy == license.licensee) != isLicensee, "Awaiting counterparty");
+
+        milestone.status = MilestoneStatus.Reached;
+        RoyaltyAccounting.charge(royaltyBalances[licenseId], milestone.amount, license.licensor, license.licensee);
+        emit MilestoneReached(licenseId, index);
+    }
+
+    // Propose a minimum royalty per license year, replacing any earlier proposal
+    function proposeAnnualMinimum(uint256 licenseId, externalEuint64 minimum, bytes calldata inputProof)
+        external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(_isLicensor(license, msg.sender), "Not the licensor");
+        require(_isLive(license.status), "License not live");
+        require(!FHE.isInitialized(annualMinimums[licenseId]), "Minimum already set");
+
+        euint64 encryptedMinimum = FHE.fromExternal(minimum, inputProof);
+        RoyaltyAccounting.allowParties(encryptedMinimum, license.licensor, license.licensee);
+        proposedAnnualMinimums[licenseId] = encryptedMinimum;
+
+        emit AnnualMinimumProposed(licenseId);
+    }
+
+    // The licensee accepts the proposal by its handle, so a replaced proposal cannot be
+    // accepted by mistake. The minimum applies from the current license year, counting
+    // royalties reported for it from now on, and is final
+    function acceptAnnualMinimum(uint256 licenseId, euint64 minimum) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensee == msg.sender, "Not the licensee");
+        require(_isLive(license.status) && license.startTime != 0, "License not approved");
+
+        euint64 proposed = proposedAnnualMinimums[licenseId];
+        require(FHE.isInitialized(proposed), "No minimum proposed");
+        require(euint64.unwrap(proposed) == euint64.unwrap(minimum), "Minimum changed");
+
+        annualMinimums[licenseId] = proposed;
+        proposedAnnualMinimums[licenseId] = euint64.wrap(0);
+        uint256 yearEnd = license.startTime + ((block.timestamp - license.startTime) / 365 days + 1) * 365 days;
+        minimumYearEnd[licenseId] = yearEnd;
+
+        emit AnnualMinimumSet(licenseId, yearEnd);
+    }
+
+    // Book the top-up for license years that have ended without waiting for the next royalty
+    // payment (callable by anyone)
+    function applyAnnualMinimum(uint256 licenseId) external whenNotPaused validLicense(licenseId) {
+        require(_isLive(licenses[licenseId].status), "License not live");
+        _applyAnnualMinimum(licenseId);
+    }
+
+    function getMilestoneCount(uint256 licenseId) external view returns (uint256) {
+        return milestones[licenseId].length;
+    }
+
+    function _milestone(uint256 licenseId, uint256 index) private view returns (Milestone storage) {
+        require(index < milestones[licenseId].length, "Invalid milestone");
+        return milestones[licenseId][index];
+    }
+}
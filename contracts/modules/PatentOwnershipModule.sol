@@ -0,0 +1,202 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { PatentLicenseModule } from "./PatentLicenseModule.sol";
+import { RoyaltyAccounting } from "../libraries/RoyaltyAccounting.sol";
+
+// Patent ownership: two-step assignment, co-owners with encrypted ownership shares and
+// the owners' approval threshold.
+contract PatentOwnershipModule is PatentLicenseModule {
+
+    uint256 private constant MAX_CO_OWNERS = 10;
+    uint64 private constant FULL_SHARE = 10000; // 100% in basis points
+
+    constructor(address nextModule_) PatentLicenseModule(nextModule_) {}
+
+    // Offer the patent to a new owner, who takes over once they accept.
+    // Offering to address(0) cancels a pending transfer
+    function transferPatent(uint256 patentId, address newOwner)
+        external whenNotPaused patentExists(patentId) onlyPatentOwner(patentId) {
+        require(newOwner != msg.sender && !isCoOwner[patentId][newOwner], "Invalid new owner");
+
+        pendingPatentOwner[patentId] = newOwner;
+        emit PatentTransferInitiated(patentId, msg.sender, newOwner);
+    }
+
+    // Take over a patent: its encrypted terms, the previous owner's ownership share and
+    // the licensor side of the licenses they granted, including future royalties
+    function acceptPatentTransfer(uint256 patentId) external whenNotPaused patentExists(patentId) {
+        require(pendingPatentOwner[patentId] == msg.sender, "Not pending owner");
+
+        PatentInfo storage patent = patents[patentId];
+        address previousOwner = patent.patentOwner;
+        patent.patentOwner = msg.sender;
+        pendingPatentOwner[patentId] = address(0);
+
+        _removeUserPatent(previousOwner, patentId);
+        userPatents[msg.sender].push(patentId);
+
+        // The new owner gets the same access to the patent's terms as the registrant had
+        if (!patent.isConfidential) {
+            FHE.allow(patent.encryptedRoyaltyRate, msg.sender);
+            FHE.allow(patent.encryptedMinLicenseFee, msg.sender);
+            FHE.allow(patent.encryptedExclusivityPeriod, msg.sender);
+            FHE.allow(patent.encryptedTerritoryMask, msg.sender);
+        }
+
+        if (patentCoOwners[patentId].length > 0) {
+            euint64 share = ownershipShares[patentId][previousOwner];
+            FHE.allow(share, msg.sender);
+            ownershipShares[patentId][msg.sender] = share;
+            ownershipShares[patentId][previousOwner] = euint64.wrap(0);
+        }
+
+        _redirectLicenses(grantedLicenses[patentId], previousOwner);
+        _redirectLicenses(pendingRequests[patentId], previousOwner);
+
+        emit PatentTransferred(patentId, previousOwner, msg.sender);
+    }
+
+    // Hand the previous owner's licenses and requests on the patent to the caller
+    function _redirectLicenses(uint256[] storage licenseIds, address previousOwner) private {
+        for (uint256 i = 0; i < licenseIds.length; i++) {
+            uint256 licenseId = licenseIds[i];
+            if (parentLicense[licenseId] == 0 && licenses[licenseId].licensor == previousOwner) {
+                licenses[licenseId].licensor = msg.sender;
+                _allowLicensor(licenseId, msg.sender);
+            }
+        }
+    }
+
+    // Give a new licensor the licensor's view of a license's encrypted terms and accounts
+    function _allowLicensor(uint256 licenseId, address licensor) private {
+        LicenseAgreement storage license = licenses[licenseId];
+        FHE.allow(license.encryptedLicenseFee, licensor);
+        FHE.allow(license.encryptedRoyaltyRate, licensor);
+        FHE.allow(license.encryptedTerritoryMask, licensor);
+
+        // Auction awards carry no proposal checks and unpaid licenses no fee account
+        if (FHE.isInitialized(proposalMeetsMinimumFee[licenseId])) {
+            FHE.allow(proposalMeetsMinimumFee[licenseId], licensor);
+        }
+        if (FHE.isInitialized(proposalCoversTerritory[licenseId])) {
+            FHE.allow(proposalCoversTerritory[licenseId], licensor);
+        }
+        if (FHE.isInitialized(grantCoversRequest[licenseId])) {
+            FHE.allow(grantCoversRequest[licenseId], licensor);
+        }
+        if (FHE.isInitialized(paidLicenseFees[licenseId])) {
+            FHE.allow(paidLicenseFees[licenseId], licensor);
+        }
+        ReportingSchedule storage schedule = reportingSchedules[licenseId];
+        if (schedule.cadence != ReportingCadence.None) {
+            FHE.allow(schedule.latePenaltyFee, licensor);
+            FHE.allow(schedule.lateInterestRate, licensor);
+        }
+        _allowMinimumTerms(licenseId, licensor);
+        Milestone[] storage terms = milestones[licenseId];
+        for (uint256 i = 0; i < terms.length; i++) {
+            FHE.allow(terms[i].amount, licensor);
+        }
+        RoyaltyAccounting.allowTiers(royaltyTiers[licenseId], licensor);
+        RoyaltyAccounting.allowTiers(proposedRoyaltyTiers[licenseId], licensor);
+        RoyaltyAccounting.allowBalance(royaltyBalances[licenseId], licensor);
+    }
+
+    // Covers the open license year and the next, which can already have reports
+    function _allowMinimumTerms(uint256 licenseId, address licensor) private {
+        uint256 yearEnd = minimumYearEnd[licenseId];
+        uint256 year = yearEnd == 0 ? 0 : (yearEnd - licenses[licenseId].startTime) / 365 days;
+        euint64[5] memory handles = [
+            proposedAnnualMinimums[licenseId],
+            annualMinimums[licenseId],
+            yearRoyalties[licenseId][year],
+            yearRoyalties[licenseId][year + 1],
+            minimumTopUps[licenseId]
+        ];
+        for (uint256 i = 0; i < handles.length; i++) {
+            if (FHE.isInitialized(handles[i])) {
+                FHE.allow(handles[i], licensor);
+            }
+        }
+    }
+
+    function _removeUserPatent(address user, uint256 patentId) private {
+        uint256[] storage ids = userPatents[user];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (ids[i] == patentId) {
+                ids[i] = ids[ids.length - 1];
+                ids.pop();
+                return;
+            }
+        }
+    }
+
+    // Add co-owners with encrypted ownership shares in basis points. Shares are granted in
+    // order until 100% is allocated, homomorphically so no share is revealed; the primary
+    // owner keeps the rest. Each owner can decrypt only their own share
+    function setCoOwners(
+        uint256 patentId,
+        address[] calldata coOwners,
+        externalEuint64[] calldata shares,
+        uint256 threshold,
+        bytes calldata inputProof
+    ) external whenNotPaused validPatent(patentId) onlyPatentOwner(patentId) {
+        require(patentCoOwners[patentId].length == 0, "Co-owners already set");
+        require(
+            coOwners.length > 0 && coOwners.length <= MAX_CO_OWNERS && coOwners.length == shares.length,
+            "Invalid co-owners"
+        );
+        require(threshold > 0 && threshold <= coOwners.length + 1, "Invalid threshold");
+
+        euint64 unallocated = FHE.asEuint64(FULL_SHARE);
+        for (uint256 i = 0; i < coOwners.length; i++) {
+            unallocated = _addCoOwner(patentId, coOwners[i], FHE.fromExternal(shares[i], inputProof), unallocated);
+        }
+
+        FHE.allowThis(unallocated);
+        FHE.allow(unallocated, msg.sender);
+        ownershipShares[patentId][msg.sender] = unallocated;
+        approvalThreshold[patentId] = threshold;
+
+        emit CoOwnersSet(patentId, coOwners.length, threshold);
+    }
+
+    // Grant a co-owner up to the unallocated share and return what is left
+    function _addCoOwner(uint256 patentId, address coOwner, euint64 requested, euint64 unallocated)
+        private
+        returns (euint64)
+    {
+        require(
+            coOwner != address(0) && coOwner != msg.sender && !isCoOwner[patentId][coOwner],
+            "Invalid co-owner"
+        );
+
+        euint64 share = FHE.min(requested, unallocated);
+        FHE.allowThis(share);
+        FHE.allow(share, coOwner);
+        ownershipShares[patentId][coOwner] = share;
+
+        isCoOwner[patentId][coOwner] = true;
+        patentCoOwners[patentId].push(coOwner);
+        return FHE.sub(unallocated, share);
+    }
+
+    // Change how many owners must approve patent actions; needs the current threshold
+    function setApprovalThreshold(uint256 patentId, uint256 threshold)
+        external whenNotPaused patentExists(patentId) onlyPatentOwners(patentId) {
+        uint256 coOwnerCount = patentCoOwners[patentId].length;
+        require(coOwnerCount > 0, "Not co-owned");
+        require(threshold > 0 && threshold <= coOwnerCount + 1, "Invalid threshold");
+
+        if (!_ownersApproved(patentId, keccak256(abi.encode(msg.sig, patentId, threshold)))) return;
+
+        approvalThreshold[patentId] = threshold;
+        emit ApprovalThresholdUpdated(patentId, threshold);
+    }
+
+    function getCoOwners(uint256 patentId) external view returns (address[] memory) {
+        return patentCoOwners[patentId];
+    }
+}
@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, euint8, ebool, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { PatentLicenseModule } from "./PatentLicenseModule.sol";
+import { RoyaltyAccounting } from "../libraries/RoyaltyAccounting.sol";
+
+// Royalty reporting schedules: the licensor proposes a reporting cadence and encrypted
+// late-report penalties, and the license follows them once the licensee accepts. Reported
+// payments can be verified against the royalty booked for them.
+contract PatentReportingModule is PatentLicenseModule {
+
+    uint64 private constant MAX_LATE_INTEREST = 10000; // 100% of the royalty per period late
+    uint64 private constant ROYALTY_TOLERANCE = 500; // 5% payment tolerance in basis points, a divisor of 10000
+    uint256 private constant MAX_GRACE_PERIOD = 90 days;
+
+    constructor(address nextModule_) PatentLicenseModule(nextModule_) {}
+
+    // Propose a schedule, replacing any earlier proposal. Either penalty may be zero; the
+    // interest rate is capped at MAX_LATE_INTEREST
+    function proposeReportingSchedule(
+        uint256 licenseId,
+        ReportingCadence cadence,
+        uint256 gracePeriod,
+        externalEuint64 latePenaltyFee,
+        externalEuint64 lateInterestRate,
+        bytes calldata inputProof
+    ) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(_isLicensor(license, msg.sender), "Not the licensor");
+        require(_isLive(license.status), "License not live");
+        require(reportingSchedules[licenseId].cadence == ReportingCadence.None, "Schedule already set");
+        require(cadence != ReportingCadence.None, "Invalid cadence");
+        require(gracePeriod <= MAX_GRACE_PERIOD, "Invalid grace period");
+
+        euint64 fee = FHE.fromExternal(latePenaltyFee, inputProof);
+        euint64 rate = FHE.min(FHE.fromExternal(lateInterestRate, inputProof), MAX_LATE_INTEREST);
+        RoyaltyAccounting.allowParties(fee, license.licensor, license.licensee);
+        RoyaltyAccounting.allowParties(rate, license.licensor, license.licensee);
+
+        proposedSchedules[licenseId] = ReportingSchedule({
+            cadence: cadence,
+            gracePeriod: gracePeriod,
+            latePenaltyFee: fee,
+            lateInterestRate: rate
+        });
+
+        emit ReportingScheduleProposed(licenseId, cadence, gracePeriod);
+    }
+
+    // The licensee accepts the proposal as read from proposedSchedules, so a proposal the
+    // licensor replaced in the meantime cannot be accepted by mistake. The schedule is final
+    function acceptReportingSchedule(uint256 licenseId, ReportingSchedule calldata schedule)
+        external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensee == msg.sender, "Not the licensee");
+        require(_isLive(license.status), "License not live");
+
+        ReportingSchedule memory proposed = proposedSchedules[licenseId];
+        require(proposed.cadence != ReportingCadence.None, "No schedule proposed");
+        require(keccak256(abi.encode(proposed)) == keccak256(abi.encode(schedule)), "Schedule changed");
+
+        delete proposedSchedules[licenseId];
+        reportingSchedules[licenseId] = proposed;
+
+        emit ReportingScheduleSet(licenseId, proposed.cadence, proposed.gracePeriod);
+    }
+
+    // Periods of a scheduled license, within its term, whose report is late and not yet filed
+    function getOverduePeriods(uint256 licenseId)
+        external view validLicense(licenseId) returns (uint256[] memory overdue) {
+        uint256 periods = _latePeriodCount(licenseId);
+        uint256 count;
+        for (uint256 period = 1; period <= periods; period++) {
+            if (!periodReported[licenseId][period]) count++;
+        }
+
+        overdue = new uint256[](count);
+        count = 0;
+        for (uint256 period = 1; period <= periods; period++) {
+            if (!periodReported[licenseId][period]) overdue[count++] = period;
+        }
+    }
+
+    // Verify royalty payment using async decryption
+    function requestRoyaltyVerification(uint256 licenseId, uint256 paymentIndex)
+        external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        // Only the licensor and the auditor appointed to this license may have its terms decrypted
+        require(license.licensor == msg.sender || _activeAuditor(licenseId) == msg.sender, "Not the licensor");
+        require(paymentIndex < royaltyPayments[licenseId].length, "Invalid payment index");
+
+        RoyaltyPayment storage payment = royaltyPayments[licenseId][paymentIndex];
+        require(!payment.isVerified, "Already verified");
+        require(payment.verificationStatus != VerificationStatus.Pending, "Verification pending");
+
+        // Classify the payment against the royalty booked for it, which accounts for the revenue
+        // cap and any rate tiers, allowing for the tolerance either way. Only the outcome is
+        // decrypted, so neither the payment nor the royalty owed is revealed
+        euint64 expected = payment.encryptedExpectedRoyalty;
+        euint64 amount = payment.encryptedAmount;
+        euint64 tolerance = FHE.div(expected, 10000 / ROYALTY_TOLERANCE);
+        ebool underpaid = FHE.lt(amount, FHE.sub(expected, tolerance));
+        ebool overpaid = FHE.gt(FHE.sub(FHE.max(amount, expected), expected), tolerance);
+        euint8 outcome = FHE.select(
+            underpaid,
+            FHE.asEuint8(uint8(VerificationStatus.Underpaid)),
+            FHE.select(
+                overpaid,
+                FHE.asEuint8(uint8(VerificationStatus.Overpaid)),
+                FHE.asEuint8(uint8(VerificationStatus.Verified))
+            )
+        );
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(outcome);
+
+        // Request async decryption for verification
+        uint256 requestId = FHE.requestDecryption(cts, this.processRoyaltyVerification.selector);
+
+        verificationRequests[requestId] = VerificationRequest({
+            licenseId: licenseId,
+            paymentIndex: paymentIndex,
+            pending: true
+        });
+        payment.verificationStatus = VerificationStatus.Pending;
+
+        emit RoyaltyVerificationRequested(licenseId, paymentIndex, requestId);
+    }
+
+    // Process royalty verification callback
+    function processRoyaltyVerification(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        VerificationRequest memory request = verificationRequests[requestId];
+        require(request.pending, "Unknown verification request");
+        delete verificationRequests[requestId];
+
+        VerificationStatus status = VerificationStatus(abi.decode(cleartexts, (uint8)));
+
+        RoyaltyPayment storage payment = royaltyPayments[request.licenseId][request.paymentIndex];
+        payment.isVerified = true;
+        payment.verificationStatus = status;
+
+        emit RoyaltyVerified(request.licenseId, request.paymentIndex, status);
+    }
+
+    // Number of leading periods that started within the term and are now past their due date
+    function _latePeriodCount(uint256 licenseId) private view returns (uint256) {
+        ReportingSchedule storage schedule = reportingSchedules[licenseId];
+        LicenseAgreement storage license = licenses[licenseId];
+        if (schedule.cadence == ReportingCadence.None) return 0;
+
+        uint256 firstDue = license.startTime + schedule.gracePeriod;
+        if (block.timestamp <= firstDue) return 0;
+
+        uint256 length = _periodLength(schedule.cadence);
+        uint256 late = (block.timestamp - firstDue - 1) / length;
+        uint256 inTerm = (license.endTime - license.startTime + length - 1) / length;
+        return late < inTerm ? late : inTerm;
+    }
+}
@@ -0,0 +1,394 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { PatentLicenseModule } from "./PatentLicenseModule.sol";
+import { RoyaltyAccounting } from "../libraries/RoyaltyAccounting.sol";
+
+// Royalty and license fee payments, royalty accounting and auditor appointments.
+contract PatentRoyaltyModule is PatentLicenseModule {
+
+    uint256 private constant MAX_AUDIT_PERIOD = 365 days;
+
+    constructor(address nextModule_) PatentLicenseModule(nextModule_) {}
+
+    // Licensee-only payment guard: the license must be active and within its term
+    // Auto-renewing licenses past their end time are renewed first
+    function _payingLicensee(uint256 licenseId) internal returns (LicenseAgreement storage license) {
+        license = licenses[licenseId];
+        require(license.licensee == msg.sender, "Not the licensee");
+        require(license.status == LicenseStatus.Active, "License not active");
+        require(!_patentExpired(license.patentId), "Patent expired");
+        require(block.timestamp < license.endTime || license.autoRenewal, "License expired");
+        _resolveExpiry(licenseId);
+    }
+
+    // Royalty reports follow the payment guard, except that on a scheduled license a period
+    // that started within the term can still be reported once the term has ended
+    function _reportingLicensee(uint256 licenseId, uint256 period)
+        internal returns (LicenseAgreement storage license) {
+        license = licenses[licenseId];
+        ReportingCadence cadence = reportingSchedules[licenseId].cadence;
+        if (
+            cadence == ReportingCadence.None || license.autoRenewal || block.timestamp < license.endTime ||
+            period == 0 || (period - 1) * _periodLength(cadence) >= license.endTime - license.startTime
+        ) {
+            return _payingLicensee(licenseId);
+        }
+
+        require(license.licensee == msg.sender, "Not the licensee");
+        require(
+            license.status == LicenseStatus.Active || license.status == LicenseStatus.Expired,
+            "License not active"
+        );
+        require(!_patentExpired(license.patentId), "Patent expired");
+        if (license.status == LicenseStatus.Active) {
+            _resolveExpiry(licenseId);
+        }
+    }
+
+    // Pay royalties with confidential revenue reporting
+    // Reported revenue is encrypted client-side and validated against inputProof
+    function payRoyalties(
+        uint256 licenseId,
+        externalEuint64 reportedRevenue,
+        uint256 reportingPeriod,
+        bytes calldata inputProof
+    ) external payable whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = _reportingLicensee(licenseId, reportingPeriod);
+        require(msg.value <= type(uint64).max, "Payment too large");
+        // Pass-through and ownership shares are encrypted, so plain ether cannot be split
+        require(parentLicense[licenseId] == 0, "Sublicense royalties are confidential");
+        require(patentCoOwners[license.patentId].length == 0, "Co-owned royalties are confidential");
+        require(activeDispute[licenseId] == 0, "License under dispute");
+
+        // Import reported revenue
+        euint64 encryptedRevenue = FHE.fromExternal(reportedRevenue, inputProof);
+        euint64 encryptedPayment = FHE.asEuint64(uint64(msg.value));
+
+        _recordRoyaltyPayment(licenseId, encryptedRevenue, encryptedPayment, reportingPeriod);
+
+        // Credit the payment to the licensor, who withdraws it with withdrawRoyalties
+        _creditWithdrawable(license.licensor, msg.value);
+
+        emit RoyaltyPaid(licenseId, msg.sender, reportingPeriod);
+    }
+
+    // Withdraw the caller's credited ether: royalties, and maintenance fees for the platform owner
+    function withdrawRoyalties() external whenNotPaused nonReentrant {
+        uint256 amount = withdrawableRoyalties[msg.sender];
+        require(amount > 0, "No royalties to withdraw");
+        withdrawableRoyalties[msg.sender] = 0;
+        totalWithdrawable -= amount;
+
+        (bool sent, ) = payable(msg.sender).call{ value: amount }("");
+        require(sent, "Withdrawal failed");
+
+        emit RoyaltiesWithdrawn(msg.sender, amount);
+    }
+
+    // Pay royalties in the confidential settlement token, so the amount is never public
+    // The licensee must have set this contract as an operator on the token
+    function payRoyaltiesConfidential(
+        uint256 licenseId,
+        externalEuint64 reportedRevenue,
+        externalEuint64 amount,
+        uint256 reportingPeriod,
+        bytes calldata inputProof
+    ) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = _reportingLicensee(licenseId, reportingPeriod);
+
+        euint64 encryptedRevenue = FHE.fromExternal(reportedRevenue, inputProof);
+
+        // Record what the token actually moved: an insufficient balance transfers zero
+        euint64 encryptedPayment;
+        uint256 parentId = parentLicense[licenseId];
+        uint256 disputeId = activeDispute[licenseId];
+        if (parentId == 0 && disputeId == 0) {
+            encryptedPayment = _collectPayment(license, FHE.fromExternal(amount, inputProof));
+        } else {
+            encryptedPayment = _pullConfidential(msg.sender, address(this), FHE.fromExternal(amount, inputProof));
+            if (disputeId != 0) {
+                _escrowRoyalty(disputeId, license, encryptedPayment);
+            } else {
+                _passThroughRoyalty(parentId, license.licensor, encryptedPayment);
+            }
+        }
+
+        _recordRoyaltyPayment(licenseId, encryptedRevenue, encryptedPayment, reportingPeriod);
+
+        emit RoyaltyPaid(licenseId, msg.sender, reportingPeriod);
+    }
+
+    // Hold a royalty paid while its license is disputed until the arbiter rules
+    function _escrowRoyalty(uint256 disputeId, LicenseAgreement storage license, euint64 amount) internal {
+        euint64 held = FHE.add(disputeEscrow[disputeId], amount);
+        disputeEscrow[disputeId] = held;
+        RoyaltyAccounting.allowParties(held, license.licensor, license.licensee);
+
+        address arbiter = disputes[disputeId].arbiter;
+        if (arbiter != address(0)) {
+            FHE.allow(held, arbiter);
+        }
+    }
+
+    // Pull a licensee payment to the licensor. Payments on licenses granted by a co-owned
+    // patent's owners are split between them by their encrypted ownership shares
+    function _collectPayment(LicenseAgreement storage license, euint64 amount) internal returns (euint64 received) {
+        uint256 patentId = license.patentId;
+        if (patentCoOwners[patentId].length == 0 || license.licensor != patents[patentId].patentOwner) {
+            return _pullConfidential(msg.sender, license.licensor, amount);
+        }
+
+        received = _pullConfidential(msg.sender, address(this), amount);
+        _payPatentOwners(patentId, received);
+    }
+
+    // Settle the outstanding license fee in the confidential settlement token
+    // Partial payments are not possible; a failed transfer moves zero and can be retried.
+    // A license awaiting its fee is activated once a decryption confirms it is paid in full
+    function payLicenseFee(uint256 licenseId) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        bool awaitingPayment = license.status == LicenseStatus.AwaitingPayment;
+        if (awaitingPayment) {
+            require(license.licensee == msg.sender, "Not the licensee");
+            require(block.timestamp < feeDeadline[licenseId], "Fee deadline passed");
+            require(!feeCheckPending[licenseId], "Fee check pending");
+        } else {
+            _payingLicensee(licenseId);
+            require(activeDispute[licenseId] == 0, "License under dispute");
+        }
+
+        euint64 paid = paidLicenseFees[licenseId];
+        euint64 outstanding = RoyaltyAccounting.remaining(license.encryptedLicenseFee, paid);
+
+        paid = FHE.add(paid, _collectPayment(license, outstanding));
+        paidLicenseFees[licenseId] = paid;
+        RoyaltyAccounting.allowParties(paid, license.licensor, msg.sender);
+
+        emit LicenseFeePaid(licenseId, msg.sender);
+
+        if (awaitingPayment) {
+            bytes32[] memory cts = new bytes32[](1);
+            cts[0] = FHE.toBytes32(FHE.ge(paid, license.encryptedLicenseFee));
+            uint256 requestId = FHE.requestDecryption(cts, this.processLicenseFeeCheck.selector);
+
+            feeChecks[requestId] = licenseId;
+            feeCheckPending[licenseId] = true;
+            emit LicenseFeeCheckRequested(licenseId, requestId);
+        }
+    }
+
+    // Activate a license once its fee is confirmed paid. A shortfall leaves it awaiting
+    // payment, to be retried before the deadline
+    function processLicenseFeeCheck(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        uint256 licenseId = feeChecks[requestId];
+        require(licenseId != 0, "Unknown fee check");
+        delete feeChecks[requestId];
+        feeCheckPending[licenseId] = false;
+
+        // The license may have been revoked with its parent in the meantime
+        bool settled = abi.decode(cleartexts, (bool));
+        if (settled && licenses[licenseId].status == LicenseStatus.AwaitingPayment) {
+            _setLicenseStatus(licenseId, LicenseStatus.Active);
+        }
+
+        emit LicenseFeeChecked(licenseId, settled);
+    }
+
+    // Book a royalty payment: compute the royalty due homomorphically on the revenue
+    // still under the cap, accrue it against the payment and store the record
+    function _recordRoyaltyPayment(
+        uint256 licenseId,
+        euint64 encryptedRevenue,
+        euint64 encryptedPayment,
+        uint256 reportingPeriod
+    ) internal {
+        LicenseAgreement storage license = licenses[licenseId];
+        _claimReportingPeriod(licenseId, reportingPeriod);
+        _applyAnnualMinimum(licenseId);
+
+        (euint64 expectedRoyalty, euint64 royaltyBearingRevenue) = RoyaltyAccounting.accrue(
+            royaltyBalances[licenseId],
+            encryptedRevenue,
+            encryptedPayment,
+            license.encryptedRoyaltyRate,
+            royaltyTiers[licenseId],
+            license.encryptedRevenueCap,
+            license.licensor,
+            license.licensee
+        );
+        // Ahead of the penalty, which leaves too little FHE depth for a top-up credit after it
+        _countTowardsMinimum(licenseId, reportingPeriod, expectedRoyalty);
+        _chargeLatePenalty(licenseId, reportingPeriod, royaltyBearingRevenue, expectedRoyalty);
+
+        // Store payment record
+        royaltyPayments[licenseId].push(RoyaltyPayment({
+            licenseId: licenseId,
+            encryptedAmount: encryptedPayment,
+            encryptedRevenue: encryptedRevenue,
+            encryptedExpectedRoyalty: expectedRoyalty,
+            paymentTime: block.timestamp,
+            reportingPeriod: reportingPeriod,
+            isVerified: false,
+            verificationStatus: VerificationStatus.Unverified
+        }));
+
+        // Set FHE permissions
+        FHE.allowThis(encryptedRevenue);
+        FHE.allow(encryptedRevenue, license.licensor);
+        RoyaltyAccounting.allowParties(encryptedPayment, license.licensor, license.licensee);
+
+        // Share the report with the license's auditor while the appointment runs
+        address auditor = _activeAuditor(licenseId);
+        if (auditor != address(0)) {
+            uint256 paymentIndex = royaltyPayments[licenseId].length - 1;
+            _allowAuditor(royaltyPayments[licenseId][paymentIndex], auditor);
+            emit AuditAccessGranted(licenseId, auditor, paymentIndex, 1);
+        }
+    }
+
+    // Each period is reported once. On a scheduled license the period must also have ended
+    function _claimReportingPeriod(uint256 licenseId, uint256 period) internal {
+        require(!periodReported[licenseId][period], "Period already reported");
+        periodReported[licenseId][period] = true;
+
+        ReportingCadence cadence = reportingSchedules[licenseId].cadence;
+        if (cadence == ReportingCadence.None) return;
+        require(period > 0, "Invalid reporting period");
+        require(
+            block.timestamp >= licenses[licenseId].startTime + period * _periodLength(cadence),
+            "Reporting period not ended"
+        );
+    }
+
+    // Add the schedule's late penalty to the amount due on a report filed after its due date:
+    // the fixed fee plus interest on the period's royalty for each period, or part of one, late
+    function _chargeLatePenalty(
+        uint256 licenseId,
+        uint256 period,
+        euint64 royaltyBearingRevenue,
+        euint64 expectedRoyalty
+    ) internal {
+        ReportingSchedule storage schedule = reportingSchedules[licenseId];
+        if (schedule.cadence == ReportingCadence.None) return;
+        uint256 dueAt = _reportDueAt(licenseId, period);
+        if (block.timestamp <= dueAt) return;
+
+        uint256 periodsLate = (block.timestamp - dueAt - 1) / _periodLength(schedule.cadence) + 1;
+        LicenseAgreement storage license = licenses[licenseId];
+        euint64 interest = royaltyTiers[licenseId].length == 0
+            ? RoyaltyAccounting.computeInterest(
+                royaltyBearingRevenue,
+                license.encryptedRoyaltyRate,
+                schedule.lateInterestRate,
+                uint64(periodsLate)
+            )
+            : RoyaltyAccounting.computeRoyaltyInterest(
+                expectedRoyalty,
+                schedule.lateInterestRate,
+                uint64(periodsLate)
+            );
+        euint64 penalty = FHE.add(schedule.latePenaltyFee, interest);
+
+        RoyaltyAccounting.charge(royaltyBalances[licenseId], penalty, license.licensor, license.licensee);
+        RoyaltyAccounting.allowParties(penalty, license.licensor, license.licensee);
+        latePenalties[licenseId][period] = penalty;
+
+        emit LatePenaltyCharged(licenseId, period, periodsLate);
+    }
+
+    // Count a booked royalty towards its license year on a license with an annual minimum. A
+    // report for a year already closed takes back as much of that year's top-up as it covers
+    function _countTowardsMinimum(uint256 licenseId, uint256 period, euint64 expectedRoyalty) internal {
+        uint256 yearEnd = minimumYearEnd[licenseId];
+        if (yearEnd == 0) return;
+
+        LicenseAgreement storage license = licenses[licenseId];
+        uint256 year = _reportYear(licenseId, period);
+        if (year >= (yearEnd - license.startTime) / 365 days) {
+            euint64 booked = FHE.add(yearRoyalties[licenseId][year], expectedRoyalty);
+            RoyaltyAccounting.allowParties(booked, license.licensor, license.licensee);
+            yearRoyalties[licenseId][year] = booked;
+            return;
+        }
+
+        // Years before the minimum was agreed have no top-up
+        euint64 topUp = yearTopUps[licenseId][year];
+        if (!FHE.isInitialized(topUp)) return;
+
+        euint64 credit = FHE.min(expectedRoyalty, topUp);
+        RoyaltyAccounting.waive(royaltyBalances[licenseId], credit, license.licensor, license.licensee);
+        euint64 left = FHE.sub(topUp, credit);
+        euint64 total = FHE.sub(minimumTopUps[licenseId], credit);
+        RoyaltyAccounting.allowParties(left, license.licensor, license.licensee);
+        RoyaltyAccounting.allowParties(total, license.licensor, license.licensee);
+        yearTopUps[licenseId][year] = left;
+        minimumTopUps[licenseId] = total;
+
+        emit AnnualMinimumCredited(licenseId, year);
+    }
+
+    // Appoint an auditor for a license's royalty reports. The licensor and licensee must both
+    // call with the same auditor and period; the auditor then gets access to every reported
+    // revenue and payment amount so far, and to new ones until the period ends.
+    // FHE ACL grants are permanent, so expiry and revocation only stop further grants
+    function appointAuditor(uint256 licenseId, address auditor, uint256 period)
+        external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        bool isLicensee = license.licensee == msg.sender;
+        require(isLicensee || _isLicensor(license, msg.sender), "Not a license party");
+        require(hasRole[AUDITOR_ROLE][auditor], "Not an auditor");
+        require(period > 0 && period <= MAX_AUDIT_PERIOD, "Invalid audit period");
+
+        // The first party proposes; a matching call from the other party confirms
+        bytes32 proposal = keccak256(abi.encode(auditor, period));
+        bool sameSide = (auditorProposer[licenseId] == license.licensee) == isLicensee;
+        if (auditorProposals[licenseId] != proposal || sameSide) {
+            auditorProposals[licenseId] = proposal;
+            auditorProposer[licenseId] = msg.sender;
+            emit AuditorProposed(licenseId, auditor, msg.sender, period);
+            return;
+        }
+
+        delete auditorProposals[licenseId];
+        delete auditorProposer[licenseId];
+        uint256 expiresAt = block.timestamp + period;
+        licenseAuditors[licenseId] = AuditorAppointment({ auditor: auditor, expiresAt: expiresAt });
+        emit AuditorAppointed(licenseId, auditor, expiresAt);
+
+        RoyaltyPayment[] storage payments = royaltyPayments[licenseId];
+        for (uint256 i = 0; i < payments.length; i++) {
+            _allowAuditor(payments[i], auditor);
+        }
+        emit AuditAccessGranted(licenseId, auditor, 0, payments.length);
+    }
+
+    // Either party can end an appointment early
+    function revokeAuditor(uint256 licenseId) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensee == msg.sender || _isLicensor(license, msg.sender), "Not a license party");
+
+        address auditor = _activeAuditor(licenseId);
+        require(auditor != address(0), "No active auditor");
+
+        delete licenseAuditors[licenseId];
+        emit AuditorRevoked(licenseId, auditor, msg.sender);
+    }
+
+    function _allowAuditor(RoyaltyPayment storage payment, address auditor) internal {
+        FHE.allow(payment.encryptedRevenue, auditor);
+        FHE.allow(payment.encryptedAmount, auditor);
+    }
+
+    // Get royalty payment count for a license
+    function getRoyaltyPaymentCount(uint256 licenseId) external view returns (uint256) {
+        return royaltyPayments[licenseId].length;
+    }
+}
@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { PatentLicenseModule } from "./PatentLicenseModule.sol";
+import { RoyaltyAccounting } from "../libraries/RoyaltyAccounting.sol";
+
+// Tiered royalty rates: the licensor proposes encrypted revenue thresholds, each with the rate
+// owed on cumulative revenue above it, and royalties follow them once the licensee accepts.
+contract PatentRoyaltyTierModule is PatentLicenseModule {
+
+    uint64 private constant MAX_ROYALTY_RATE = 10000; // 100% in basis points
+    uint256 private constant MAX_RATE_TIERS = 3;
+
+    constructor(address nextModule_) PatentLicenseModule(nextModule_) {}
+
+    // Propose tiers above the license's own rate, which keeps applying below the first
+    // threshold, replacing any earlier proposal. A threshold below the one before it is raised
+    // to it, leaving that tier empty; rates are capped at MAX_ROYALTY_RATE
+    function proposeRoyaltyTiers(
+        uint256 licenseId,
+        externalEuint64[] calldata thresholds,
+        externalEuint64[] calldata rates,
+        bytes calldata inputProof
+    ) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(_isLicensor(license, msg.sender), "Not the licensor");
+        require(_isLive(license.status), "License not live");
+        require(royaltyTiers[licenseId].length == 0, "Tiers already set");
+        require(
+            thresholds.length > 0 && thresholds.length <= MAX_RATE_TIERS && rates.length == thresholds.length,
+            "Invalid tiers"
+        );
+
+        RoyaltyAccounting.RateTier[] storage proposed = proposedRoyaltyTiers[licenseId];
+        delete proposedRoyaltyTiers[licenseId];
+        for (uint256 i = 0; i < thresholds.length; i++) {
+            euint64 threshold = FHE.fromExternal(thresholds[i], inputProof);
+            if (i > 0) threshold = FHE.max(threshold, proposed[i - 1].threshold);
+            euint64 rate = FHE.min(FHE.fromExternal(rates[i], inputProof), MAX_ROYALTY_RATE);
+            RoyaltyAccounting.allowParties(threshold, license.licensor, license.licensee);
+            RoyaltyAccounting.allowParties(rate, license.licensor, license.licensee);
+            proposed.push(RoyaltyAccounting.RateTier({ threshold: threshold, rate: rate }));
+        }
+
+        emit RoyaltyTiersProposed(licenseId, thresholds.length);
+    }
+
+    // The licensee accepts the proposal as read from getProposedRoyaltyTiers, so a proposal
+    // replaced in the meantime cannot be accepted by mistake. The tiers apply to royalties
+    // booked from then on, counting all revenue reported so far, and are final
+    function acceptRoyaltyTiers(uint256 licenseId, RoyaltyAccounting.RateTier[] calldata tiers)
+        external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensee == msg.sender, "Not the licensee");
+        require(_isLive(license.status), "License not live");
+
+        RoyaltyAccounting.RateTier[] memory proposed = proposedRoyaltyTiers[licenseId];
+        require(proposed.length > 0, "No tiers proposed");
+        require(keccak256(abi.encode(proposed)) == keccak256(abi.encode(tiers)), "Tiers changed");
+
+        delete proposedRoyaltyTiers[licenseId];
+        for (uint256 i = 0; i < proposed.length; i++) {
+            royaltyTiers[licenseId].push(proposed[i]);
+        }
+
+        emit RoyaltyTiersSet(licenseId, proposed.length);
+    }
+
+    function getRoyaltyTiers(uint256 licenseId) external view returns (RoyaltyAccounting.RateTier[] memory) {
+        return royaltyTiers[licenseId];
+    }
+
+    function getProposedRoyaltyTiers(uint256 licenseId) external view returns (RoyaltyAccounting.RateTier[] memory) {
+        return proposedRoyaltyTiers[licenseId];
+    }
+}
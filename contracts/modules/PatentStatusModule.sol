@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { PatentLicenseModule } from "./PatentLicenseModule.sol";
+
+// Patent and license status changes: the allowed transitions, reason codes and the notice
+// period before a revocation takes effect.
+contract PatentStatusModule is PatentLicenseModule {
+
+    constructor(address nextModule_) PatentLicenseModule(nextModule_) {}
+
+    // Suspend or reactivate a patent; suspensions need a reason.
+    // Expiry is final: use processPatentExpiration to record it. Emergency suspensions are
+    // the pausers' to impose and lift
+    function updatePatentStatus(uint256 patentId, PatentStatus newStatus, StatusReason reason, string calldata note)
+        external whenNotPaused onlyPatentOwners(patentId) {
+        require(!_patentExpired(patentId), "Patent expired");
+        PatentStatus current = patents[patentId].status;
+        require(
+            (current == PatentStatus.Active && newStatus == PatentStatus.Suspended) ||
+                (current == PatentStatus.Suspended && newStatus == PatentStatus.Active),
+            "Invalid status transition"
+        );
+        require(newStatus == PatentStatus.Active || reason != StatusReason.None, "Reason required");
+        require(reason != StatusReason.Emergency, "Reserved reason");
+        require(patentStatusReasons[patentId] != StatusReason.Emergency, "Emergency suspension");
+        if (!_ownersApproved(patentId, keccak256(abi.encode(msg.sig, patentId, newStatus, reason)))) return;
+
+        patents[patentId].status = newStatus;
+        patentStatusReasons[patentId] = reason;
+        emit PatentStatusChanged(patentId, newStatus);
+        emit PatentStatusNoted(patentId, newStatus, reason, note);
+    }
+
+    // Suspend, reactivate or revoke a license; suspensions and revocations need a reason.
+    // Revocation takes two calls: the first issues a notice, and the same call once
+    // CURE_PERIOD has passed revokes the license. The licensee can cure the breach in the
+    // meantime, or freeze the license by opening a dispute. Revoking a pending request
+    // declines it at once
+    function updateLicenseStatus(
+        uint256 licenseId,
+        LicenseStatus newStatus,
+        StatusReason reason,
+        string calldata note
+    ) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(_isLicensor(license, msg.sender), "Not the licensor");
+        require(activeDispute[licenseId] == 0, "License under dispute");
+        require(_licensorMayMove(license.status, newStatus), "Invalid status transition");
+        require(newStatus == LicenseStatus.Active || reason != StatusReason.None, "Reason required");
+        require(reason != StatusReason.Emergency, "Reserved reason");
+        if (_grantedByOwners(license) &&
+            !_ownersApproved(license.patentId, keccak256(abi.encode(msg.sig, licenseId, newStatus, reason)))) return;
+
+        if (license.status == LicenseStatus.Pending) {
+            _closeRequest(license.patentId, licenseId);
+        } else if (newStatus == LicenseStatus.Revoked && !_revocationDue(licenseId, reason, note)) {
+            return;
+        }
+
+        licenseStatusReasons[licenseId] = reason;
+        _setLicenseStatus(licenseId, newStatus);
+        emit LicenseStatusNoted(licenseId, newStatus, reason, note);
+    }
+
+    // Withdraw a revocation notice, e.g. once the licensee has cured the breach
+    function withdrawRevocationNotice(uint256 licenseId) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(_isLicensor(license, msg.sender), "Not the licensor");
+        require(revocationEffectiveAt[licenseId] != 0, "No revocation notice");
+        if (_grantedByOwners(license) &&
+            !_ownersApproved(license.patentId, keccak256(abi.encode(msg.sig, licenseId)))) return;
+
+        revocationEffectiveAt[licenseId] = 0;
+        emit RevocationNoticeWithdrawn(licenseId);
+    }
+
+    // The licensee ends their own active or suspended license; sublicenses under it are
+    // revoked with it
+    function terminateLicense(uint256 licenseId, string calldata note) external whenNotPaused validLicense(licenseId) {
+        LicenseAgreement storage license = licenses[licenseId];
+        require(license.licensee == msg.sender, "Not the licensee");
+        require(activeDispute[licenseId] == 0, "License under dispute");
+        require(
+            license.status == LicenseStatus.Active || license.status == LicenseStatus.Suspended,
+            "Invalid status transition"
+        );
+
+        licenseStatusReasons[licenseId] = StatusReason.None;
+        _setLicenseStatus(licenseId, LicenseStatus.Terminated);
+        emit LicenseStatusNoted(licenseId, LicenseStatus.Terminated, StatusReason.None, note);
+    }
+
+    // Licensor transition table. Other statuses are reached through negotiation (Pending,
+    // Withdrawn), expiry (Expired) or the licensee (Terminated), and only an arbiter's
+    // reinstatement brings a license back from Revoked
+    //
+    //   Pending   -> Revoked (declined)
+    //   Active    -> Suspended, Revoked
+    //   Suspended -> Active, Revoked
+    function _licensorMayMove(LicenseStatus from, LicenseStatus to) private pure returns (bool) {
+        if (from == LicenseStatus.Pending) return to == LicenseStatus.Revoked;
+        if (from == LicenseStatus.Active) return to == LicenseStatus.Suspended || to == LicenseStatus.Revoked;
+        if (from == LicenseStatus.Suspended) return to == LicenseStatus.Active || to == LicenseStatus.Revoked;
+        return false;
+    }
+
+    // Issue a revocation notice, or report whether the notice's cure period is over
+    function _revocationDue(uint256 licenseId, StatusReason reason, string calldata note) private returns (bool) {
+        uint256 effectiveAt = revocationEffectiveAt[licenseId];
+        if (effectiveAt == 0) {
+            effectiveAt = block.timestamp + CURE_PERIOD;
+            revocationEffectiveAt[licenseId] = effectiveAt;
+            emit RevocationNoticeIssued(licenseId, reason, effectiveAt, note);
+            return false;
+        }
+
+        require(block.timestamp >= effectiveAt, "Cure period not over");
+        return true;
+    }
+}
@@ -1,4 +1,5 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@fhevm/hardhat-plugin");
 require("@nomicfoundation/hardhat-verify");
 require("hardhat-gas-reporter");
 require("hardhat-contract-sizer");
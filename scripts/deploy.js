@@ -1,6 +1,7 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { MODULES, deployPatentLicense } = require("./lib/patentLicense");
 
 async function main() {
   console.log("\n=== Confidential Patent License Platform Deployment ===\n");
@@ -18,21 +19,31 @@ async function main() {
   console.log("Network:", network.name);
   console.log("Chain ID:", network.chainId.toString());
 
-  // Deploy the contract
+  // Deploy the module chain and the contract that delegates to it
   console.log("\n--- Deploying ConfidentialPatentLicense Contract ---");
-  const ConfidentialPatentLicense = await ethers.getContractFactory("ConfidentialPatentLicense");
 
   console.log("Starting deployment...");
-  const contract = await ConfidentialPatentLicense.deploy();
+  const { contract, core, modules } = await deployPatentLicense(deployer);
 
-  await contract.waitForDeployment();
   const contractAddress = await contract.getAddress();
 
+  // Each module is constructed with the address of the next one in the chain
+  const moduleInfo = [];
+  for (const name of MODULES) {
+    moduleInfo.push({ name, address: await modules[name].getAddress() });
+  }
+  moduleInfo.forEach((module, i) => {
+    module.nextModule = i + 1 < moduleInfo.length ? moduleInfo[i + 1].address : ethers.ZeroAddress;
+  });
+
   console.log("✓ Contract deployed successfully!");
   console.log("Contract address:", contractAddress);
+  for (const module of moduleInfo) {
+    console.log(`${module.name} address:`, module.address);
+  }
 
   // Get deployment transaction details
-  const deployTx = contract.deploymentTransaction();
+  const deployTx = core.deploymentTransaction();
   if (deployTx) {
     console.log("Deployment transaction hash:", deployTx.hash);
     console.log("Block number:", deployTx.blockNumber);
@@ -48,17 +59,29 @@ async function main() {
   console.log("Next patent ID:", nextPatentId.toString());
   console.log("Next license ID:", nextLicenseId.toString());
 
+  // Confidential token settlement: license fees can only be collected in this token
+  const settlementToken = process.env.SETTLEMENT_TOKEN_ADDRESS;
+  if (settlementToken) {
+    const tx = await contract.setSettlementToken(settlementToken);
+    await tx.wait();
+    console.log("Settlement token:", settlementToken);
+  } else {
+    console.log("No settlement token set: licenses cannot be approved until setSettlementToken is called");
+  }
+
   // Save deployment information
   const deploymentInfo = {
     network: network.name,
     chainId: network.chainId.toString(),
     contractName: "ConfidentialPatentLicense",
     contractAddress: contractAddress,
+    modules: moduleInfo,
     deployer: deployer.address,
     deploymentTime: new Date().toISOString(),
     transactionHash: deployTx ? deployTx.hash : null,
     blockNumber: deployTx ? deployTx.blockNumber : null,
     owner: owner,
+    settlementToken: settlementToken || null,
     initialState: {
       nextPatentId: nextPatentId.toString(),
       nextLicenseId: nextLicenseId.toString()
@@ -82,7 +105,10 @@ async function main() {
     console.log("\n--- Etherscan Links ---");
     console.log("Contract:", etherscanUrl);
     console.log("\nRun the following command to verify the contract:");
-    console.log(`npx hardhat verify --network sepolia ${contractAddress}`);
+    for (const module of moduleInfo) {
+      console.log(`npx hardhat verify --network sepolia ${module.address} ${module.nextModule}`);
+    }
+    console.log(`npx hardhat verify --network sepolia ${contractAddress} ${moduleInfo[0].address}`);
   }
 
   console.log("\n=== Deployment Complete ===\n");
@@ -1,4 +1,10 @@
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
+const {
+  getPatentLicense,
+  encryptPatentTerms,
+  encryptLicenseTerms,
+  encryptAmount,
+} = require("./lib/patentLicense");
 const fs = require("fs");
 const path = require("path");
 
@@ -62,6 +68,7 @@ async function registerPatent(contract) {
   const validityYears = 10; // 10 years
   const patentHash = "QmExample123PatentHash"; // IPFS hash
   const territoryCode = 255; // All territories
+  const territoryMask = 255; // Licensable in every territory (encrypted)
   const isConfidential = true;
 
   console.log("Registering patent with parameters:");
@@ -71,14 +78,24 @@ async function registerPatent(contract) {
   console.log("- Validity: 10 years");
   console.log("- Confidential: Yes");
 
-  const tx = await contract.registerPatent(
+  const [signer] = await ethers.getSigners();
+  const encrypted = await encryptPatentTerms(await contract.getAddress(), signer.address, {
     royaltyRate,
     minLicenseFee,
     exclusivityPeriod,
+    territoryMask,
+  });
+
+  const tx = await contract.registerPatent(
+    encrypted.handles[0],
+    encrypted.handles[1],
+    encrypted.handles[2],
+    encrypted.handles[3],
     validityYears,
     patentHash,
     territoryCode,
-    isConfidential
+    isConfidential,
+    encrypted.inputProof
   );
 
   console.log("Transaction hash:", tx.hash);
@@ -122,15 +139,21 @@ async function requestLicense(contract) {
   console.log("- Proposed Royalty: 8%");
   console.log("- Duration: 365 days");
 
+  const [signer] = await ethers.getSigners();
+  const { terms, inputProof } = await encryptLicenseTerms(await contract.getAddress(), signer.address, {
+    fee: proposedFee,
+    royaltyRate: proposedRoyaltyRate,
+    revenueCap,
+    territoryMask,
+  });
+
   const tx = await contract.requestLicense(
     patentId,
-    proposedFee,
-    proposedRoyaltyRate,
-    revenueCap,
+    terms,
     durationDays,
     requestExclusive,
     autoRenewal,
-    territoryMask
+    inputProof
   );
 
   console.log("Transaction hash:", tx.hash);
@@ -154,6 +177,50 @@ async function requestLicense(contract) {
   }
 }
 
+async function submitConfidentialBid(contract) {
+  console.log("\n--- Submit Confidential Bid ---");
+
+  const patentId = 1; // Example patent ID
+  const bidAmount = ethers.parseEther("0.5"); // 0.5 ETH
+
+  console.log("Submitting encrypted bid for Patent ID:", patentId);
+  console.log("(The bid is escrowed in the settlement token; set this contract as operator on the token first)");
+
+  const [signer] = await ethers.getSigners();
+  const { handle, inputProof } = await encryptAmount(await contract.getAddress(), signer.address, bidAmount);
+
+  const tx = await contract.submitConfidentialBid(patentId, handle, inputProof);
+
+  console.log("Transaction hash:", tx.hash);
+  console.log("Waiting for confirmation...");
+
+  await tx.wait();
+  console.log("✓ Confidential bid submitted successfully!");
+}
+
+async function payRoyalties(contract) {
+  console.log("\n--- Pay Royalties ---");
+
+  const licenseId = 1; // Example license ID
+  const reportedRevenue = ethers.parseEther("10"); // 10 ETH revenue
+  const reportingPeriod = 202501; // January 2025
+  const paymentAmount = ethers.parseEther("0.8"); // 8% royalty
+
+  console.log("Paying royalties for License ID:", licenseId);
+  console.log("- Reporting Period:", reportingPeriod);
+
+  const [signer] = await ethers.getSigners();
+  const { handle, inputProof } = await encryptAmount(await contract.getAddress(), signer.address, reportedRevenue);
+
+  const tx = await contract.payRoyalties(licenseId, handle, reportingPeriod, inputProof, { value: paymentAmount });
+
+  console.log("Transaction hash:", tx.hash);
+  console.log("Waiting for confirmation...");
+
+  await tx.wait();
+  console.log("✓ Royalties paid successfully!");
+}
+
 async function getPatentInfo(contract, patentId) {
   console.log("\n--- Patent Information ---");
   console.log("Patent ID:", patentId);
@@ -180,16 +247,15 @@ async function main() {
   const network = hre.network.name;
   console.log("Network:", network);
 
+  // Initialize the FHE encryption API (relayer on Sepolia, mock coprocessor on a local node)
+  await fhevm.initializeCLIApi();
+
   const deploymentInfo = await loadDeployment(network);
   console.log("Contract address:", deploymentInfo.contractAddress);
 
   // Get contract instance
   const [deployer] = await ethers.getSigners();
-  const contract = await ethers.getContractAt(
-    "ConfidentialPatentLicense",
-    deploymentInfo.contractAddress,
-    deployer
-  );
+  const contract = await getPatentLicense(deploymentInfo.contractAddress, deployer);
 
   console.log("Connected with account:", deployer.address);
 
@@ -203,6 +269,8 @@ async function main() {
   console.log("\nAvailable functions:");
   console.log("- await registerPatent(contract)");
   console.log("- await requestLicense(contract)");
+  console.log("- await submitConfidentialBid(contract)");
+  console.log("- await payRoyalties(contract)");
   console.log("- await getPatentInfo(contract, 1)");
 
   // Example: Uncomment to register a patent
@@ -211,6 +279,12 @@ async function main() {
   // Example: Uncomment to request a license
   // await requestLicense(contract);
 
+  // Example: Uncomment to submit an encrypted bid
+  // await submitConfidentialBid(contract);
+
+  // Example: Uncomment to pay royalties with encrypted revenue
+  // await payRoyalties(contract);
+
   // Example: Uncomment to get patent info
   // await getPatentInfo(contract, 1);
 
@@ -0,0 +1,116 @@
+const { ethers, artifacts, fhevm } = require("hardhat");
+
+// ConfidentialPatentLicense delegates the calls it does not implement down a chain of
+// modules, in this order, so clients need the combined ABI behind the one contract address
+const MODULES = [
+  "PatentBiddingModule",
+  "PatentRoyaltyModule",
+  "PatentOwnershipModule",
+  "PatentGovernanceModule",
+  "PatentDisputeModule",
+  "PatentStatusModule",
+  "PatentReportingModule",
+  "PatentMilestoneModule",
+  "PatentRoyaltyTierModule",
+];
+
+async function patentLicenseAbi() {
+  const seen = new Set();
+  const abi = [];
+
+  for (const name of ["ConfidentialPatentLicense", ...MODULES]) {
+    const artifact = await artifacts.readArtifact(name);
+    for (const fragment of artifact.abi) {
+      // Module constructors and fallbacks are not part of the contract's interface
+      if (name !== "ConfidentialPatentLicense" && ["constructor", "fallback", "receive"].includes(fragment.type)) {
+        continue;
+      }
+
+      // Shared storage getters and events appear in every artifact
+      const key = JSON.stringify(fragment);
+      if (!seen.has(key)) {
+        seen.add(key);
+        abi.push(fragment);
+      }
+    }
+  }
+
+  return abi;
+}
+
+// Attach to a deployed platform with the combined ABI
+async function getPatentLicense(address, signer) {
+  return new ethers.Contract(address, await patentLicenseAbi(), signer);
+}
+
+// Deploy the modules from the end of the chain, each pointing at the next one, then the
+// licensing contract that delegates to the first
+async function deployPatentLicense(signer) {
+  const modules = {};
+  let nextModule = ethers.ZeroAddress;
+
+  for (const name of [...MODULES].reverse()) {
+    const module = await ethers.deployContract(name, [nextModule], signer);
+    await module.waitForDeployment();
+    modules[name] = module;
+    nextModule = await module.getAddress();
+  }
+
+  const core = await ethers.deployContract("ConfidentialPatentLicense", [nextModule], signer);
+  await core.waitForDeployment();
+
+  const contract = await getPatentLicense(await core.getAddress(), signer);
+  return { contract, core, modules };
+}
+
+// Confidential values are encrypted locally and bound to the caller with an input proof,
+// so plaintext fees, rates, bids and revenue never appear in calldata
+async function encryptPatentTerms(
+  contractAddress,
+  userAddress,
+  { royaltyRate, minLicenseFee, exclusivityPeriod, territoryMask }
+) {
+  return fhevm
+    .createEncryptedInput(contractAddress, userAddress)
+    .add64(royaltyRate)
+    .add64(minLicenseFee)
+    .add32(exclusivityPeriod)
+    .add8(territoryMask)
+    .encrypt();
+}
+
+// Returns the terms struct requestLicense takes, with its input proof
+async function encryptLicenseTerms(contractAddress, userAddress, { fee, royaltyRate, revenueCap, territoryMask }) {
+  const input = await fhevm
+    .createEncryptedInput(contractAddress, userAddress)
+    .add64(fee)
+    .add64(royaltyRate)
+    .add64(revenueCap)
+    .add8(territoryMask)
+    .encrypt();
+
+  return {
+    terms: {
+      fee: input.handles[0],
+      royaltyRate: input.handles[1],
+      revenueCap: input.handles[2],
+      territoryMask: input.handles[3],
+    },
+    inputProof: input.inputProof,
+  };
+}
+
+async function encryptAmount(contractAddress, userAddress, amount) {
+  const input = await fhevm.createEncryptedInput(contractAddress, userAddress).add64(amount).encrypt();
+  return { handle: input.handles[0], inputProof: input.inputProof };
+}
+
+module.exports = {
+  MODULES,
+  patentLicenseAbi,
+  getPatentLicense,
+  deployPatentLicense,
+  encryptPatentTerms,
+  encryptLicenseTerms,
+  encryptAmount,
+};
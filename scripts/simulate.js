@@ -1,4 +1,11 @@
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
+const {
+  deployPatentLicense,
+  getPatentLicense,
+  encryptPatentTerms,
+  encryptLicenseTerms,
+  encryptAmount,
+} = require("./lib/patentLicense");
 const fs = require("fs");
 const path = require("path");
 
@@ -12,9 +19,41 @@ async function loadDeployment(network) {
   return JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
 }
 
+// License fees and bids are settled in the confidential token; deploy the mock token if none is set
+async function ensureSettlementToken(contract) {
+  let tokenAddress = await contract.settlementToken();
+
+  if (tokenAddress === ethers.ZeroAddress) {
+    const MockConfidentialToken = await ethers.getContractFactory("MockConfidentialToken");
+    const token = await MockConfidentialToken.deploy("Confidential USD", "cUSD");
+    await token.waitForDeployment();
+    tokenAddress = await token.getAddress();
+
+    await (await contract.setSettlementToken(tokenAddress)).wait();
+    console.log("✓ Mock settlement token deployed at:", tokenAddress);
+  }
+
+  return ethers.getContractAt("MockConfidentialToken", tokenAddress);
+}
+
+// A license activates once the gateway confirms its fee is paid in full
+async function waitForActivation(contract, licenseId) {
+  if (fhevm.isMock) {
+    await fhevm.awaitDecryptionOracle();
+  }
+
+  for (let attempt = 0; attempt < 60; attempt++) {
+    if ((await contract.licenses(licenseId)).status === 1n) return true;
+    await new Promise(resolve => setTimeout(resolve, 5000));
+  }
+  return false;
+}
+
 async function simulateFullWorkflow(contract, deployer, licensee) {
   console.log("\n=== Simulating Complete Patent Licensing Workflow ===\n");
 
+  const contractAddress = await contract.getAddress();
+
   const results = {
     patents: [],
     licenses: [],
@@ -34,6 +73,7 @@ async function simulateFullWorkflow(contract, deployer, licensee) {
       validityYears: 10,
       patentHash: "QmAIAlgorithmHash123",
       territoryCode: 255,
+      territoryMask: 255, // Licensable everywhere
       isConfidential: true
     },
     {
@@ -44,6 +84,7 @@ async function simulateFullWorkflow(contract, deployer, licensee) {
       validityYears: 15,
       patentHash: "QmBlockchainSecurityHash456",
       territoryCode: 1, // US only
+      territoryMask: 1,
       isConfidential: false
     },
     {
@@ -54,6 +95,7 @@ async function simulateFullWorkflow(contract, deployer, licensee) {
       validityYears: 20,
       patentHash: "QmGreenEnergyHash789",
       territoryCode: 255,
+      territoryMask: 255,
       isConfidential: true
     }
   ];
@@ -62,14 +104,18 @@ async function simulateFullWorkflow(contract, deployer, licensee) {
     const patent = patents[i];
     console.log(`\nRegistering Patent ${i + 1}: ${patent.name}`);
 
+    const encrypted = await encryptPatentTerms(contractAddress, deployer.address, patent);
+
     const tx = await contract.registerPatent(
-      patent.royaltyRate,
-      patent.minLicenseFee,
-      patent.exclusivityPeriod,
+      encrypted.handles[0],
+      encrypted.handles[1],
+      encrypted.handles[2],
+      encrypted.handles[3],
       patent.validityYears,
       patent.patentHash,
       patent.territoryCode,
-      patent.isConfidential
+      patent.isConfidential,
+      encrypted.inputProof
     );
 
     const receipt = await tx.wait();
@@ -99,7 +145,7 @@ async function simulateFullWorkflow(contract, deployer, licensee) {
       patentId: 1,
       proposedFee: ethers.parseEther("1.2"),
       proposedRoyaltyRate: 1500,
-      revenueCap: ethers.parseEther("100"),
+      revenueCap: ethers.parseEther("10"),
       durationDays: 365,
       requestExclusive: false,
       autoRenewal: true,
@@ -109,7 +155,7 @@ async function simulateFullWorkflow(contract, deployer, licensee) {
       patentId: 2,
       proposedFee: ethers.parseEther("0.6"),
       proposedRoyaltyRate: 1000,
-      revenueCap: ethers.parseEther("50"),
+      revenueCap: ethers.parseEther("5"),
       durationDays: 180,
       requestExclusive: false,
       autoRenewal: false,
@@ -122,15 +168,20 @@ async function simulateFullWorkflow(contract, deployer, licensee) {
   for (const request of licenseRequests) {
     console.log(`\nRequesting license for Patent ${request.patentId}`);
 
+    const { terms, inputProof } = await encryptLicenseTerms(contractAddress, licensee.address, {
+      fee: request.proposedFee,
+      royaltyRate: request.proposedRoyaltyRate,
+      revenueCap: request.revenueCap,
+      territoryMask: request.territoryMask,
+    });
+
     const tx = await licenseeContract.requestLicense(
       request.patentId,
-      request.proposedFee,
-      request.proposedRoyaltyRate,
-      request.revenueCap,
+      terms,
       request.durationDays,
       request.requestExclusive,
       request.autoRenewal,
-      request.territoryMask
+      inputProof
     );
 
     const receipt = await tx.wait();
@@ -151,18 +202,31 @@ async function simulateFullWorkflow(contract, deployer, licensee) {
     }
   }
 
-  // Step 3: Approve licenses
+  // Fund both accounts and let the contract collect fees and escrow bids
+  const token = await ensureSettlementToken(contract);
+  for (const account of [deployer, licensee]) {
+    await (await token.mint(account.address, ethers.parseEther("10.0"))).wait();
+    await (await token.connect(account).setOperator(contractAddress, 2n ** 47n)).wait();
+  }
+
+  // Step 3: Approve licenses and pay their fees
   console.log("\n--- Step 3: Approving Licenses ---");
 
   for (const license of results.licenses) {
     console.log(`\nApproving License ${license.id}`);
 
-    const tx = await contract.approveLicense(license.id, 365);
+    const tx = await contract.approveLicense(license.id);
     await tx.wait();
-
     console.log(`✓ License ${license.id} approved`);
-    license.status = "Approved";
+
+    const feeTx = await licenseeContract.payLicenseFee(license.id);
+    await feeTx.wait();
+    const active = await waitForActivation(contract, license.id);
+    console.log(active ? `✓ License ${license.id} fee paid and active` : `License ${license.id} still awaiting payment`);
+
+    license.status = active ? "Active" : "AwaitingPayment";
     license.approveTx = tx.hash;
+    license.feeTx = feeTx.hash;
   }
 
   // Step 4: Simulate confidential bidding
@@ -178,11 +242,13 @@ async function simulateFullWorkflow(contract, deployer, licensee) {
   // Submit bids from both accounts
   console.log("\nSubmitting confidential bids...");
 
-  const bid1Tx = await contract.submitConfidentialBid(biddingPatentId, ethers.parseEther("3.0"));
+  const bid1 = await encryptAmount(contractAddress, deployer.address, ethers.parseEther("3.0"));
+  const bid1Tx = await contract.submitConfidentialBid(biddingPatentId, bid1.handle, bid1.inputProof);
   await bid1Tx.wait();
   console.log("✓ Bid 1 submitted (3.0 ETH) from deployer");
 
-  const bid2Tx = await licenseeContract.submitConfidentialBid(biddingPatentId, ethers.parseEther("3.5"));
+  const bid2 = await encryptAmount(contractAddress, licensee.address, ethers.parseEther("3.5"));
+  const bid2Tx = await licenseeContract.submitConfidentialBid(biddingPatentId, bid2.handle, bid2.inputProof);
   await bid2Tx.wait();
   console.log("✓ Bid 2 submitted (3.5 ETH) from licensee");
 
@@ -205,10 +271,13 @@ async function simulateFullWorkflow(contract, deployer, licensee) {
   console.log(`Reported Revenue: ${ethers.formatEther(royaltyPayment.reportedRevenue)} ETH`);
   console.log(`Payment Amount: ${ethers.formatEther(royaltyPayment.paymentAmount)} ETH`);
 
+  const revenue = await encryptAmount(contractAddress, licensee.address, royaltyPayment.reportedRevenue);
+
   const royaltyTx = await licenseeContract.payRoyalties(
     royaltyPayment.licenseId,
-    royaltyPayment.reportedRevenue,
+    revenue.handle,
     royaltyPayment.reportingPeriod,
+    revenue.inputProof,
     { value: royaltyPayment.paymentAmount }
   );
 
@@ -268,6 +337,9 @@ async function main() {
   const network = hre.network.name;
   console.log("Network:", network);
 
+  // Initialize the FHE encryption API (relayer on Sepolia, mock coprocessor on a local node)
+  await fhevm.initializeCLIApi();
+
   // Load deployment or use local
   let contractAddress;
 
@@ -279,9 +351,7 @@ async function main() {
     console.log("No deployment found. Deploying new contract for simulation...");
 
     // Deploy for simulation
-    const ConfidentialPatentLicense = await ethers.getContractFactory("ConfidentialPatentLicense");
-    const contract = await ConfidentialPatentLicense.deploy();
-    await contract.waitForDeployment();
+    const { contract } = await deployPatentLicense();
     contractAddress = await contract.getAddress();
     console.log("Contract deployed at:", contractAddress);
   }
@@ -293,7 +363,7 @@ async function main() {
   console.log("Licensee:", licensee.address);
 
   // Get contract instance
-  const contract = await ethers.getContractAt("ConfidentialPatentLicense", contractAddress, deployer);
+  const contract = await getPatentLicense(contractAddress, deployer);
 
   // Run simulation
   const results = await simulateFullWorkflow(contract, deployer, licensee);
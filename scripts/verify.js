@@ -29,9 +29,17 @@ async function main() {
   console.log("\n--- Starting Verification ---");
 
   try {
+    for (const module of deploymentInfo.modules) {
+      await run("verify:verify", {
+        address: module.address,
+        constructorArguments: [module.nextModule],
+        contract: `contracts/modules/${module.name}.sol:${module.name}`
+      });
+    }
+
     await run("verify:verify", {
       address: contractAddress,
-      constructorArguments: [], // No constructor arguments for this contract
+      constructorArguments: [deploymentInfo.modules[0].address],
       contract: "contracts/ConfidentialPatentLicense.sol:ConfidentialPatentLicense"
     });
 
@@ -1,23 +1,157 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { deployPatentLicense } = require("../scripts/lib/patentLicense");
 
 describe("ConfidentialPatentLicense", function () {
   let contract;
+  let contractAddress;
   let owner;
   let patentOwner;
   let licensee;
   let bidder1;
   let bidder2;
+  let token;
+
+  // Encrypted inputs are produced by the fhEVM mock, so the suite only runs on the hardhat network
+  before(function () {
+    if (!fhevm.isMock) {
+      this.skip();
+    }
+  });
 
   beforeEach(async function () {
     [owner, patentOwner, licensee, bidder1, bidder2] = await ethers.getSigners();
 
-    const ConfidentialPatentLicense = await ethers.getContractFactory("ConfidentialPatentLicense");
-    contract = await ConfidentialPatentLicense.deploy();
-    await contract.waitForDeployment();
+    ({ contract } = await deployPatentLicense(owner));
+    contractAddress = await contract.getAddress();
+
+    // License fees are collected in the settlement token
+    token = await deploySettlementToken();
   });
 
+  async function registerPatent(
+    signer,
+    royaltyRate,
+    minLicenseFee,
+    exclusivityPeriod,
+    validityYears,
+    patentHash,
+    territoryCode,
+    isConfidential,
+    territoryMask = 0xff
+  ) {
+    const input = await fhevm
+      .createEncryptedInput(contractAddress, signer.address)
+      .add64(royaltyRate)
+      .add64(minLicenseFee)
+      .add32(exclusivityPeriod)
+      .add8(territoryMask)
+      .encrypt();
+
+    return contract
+      .connect(signer)
+      .registerPatent(
+        input.handles[0],
+        input.handles[1],
+        input.handles[2],
+        input.handles[3],
+        validityYears,
+        patentHash,
+        territoryCode,
+        isConfidential,
+        input.inputProof
+      );
+  }
+
+  async function requestLicense(
+    signer,
+    patentId,
+    proposedFee,
+    proposedRoyaltyRate,
+    revenueCap,
+    durationDays,
+    requestExclusive,
+    autoRenewal,
+    territoryMask
+  ) {
+    const input = await fhevm
+      .createEncryptedInput(contractAddress, signer.address)
+      .add64(proposedFee)
+      .add64(proposedRoyaltyRate)
+      .add64(revenueCap)
+      .add8(territoryMask)
+      .encrypt();
+
+    const terms = {
+      fee: input.handles[0],
+      royaltyRate: input.handles[1],
+      revenueCap: input.handles[2],
+      territoryMask: input.handles[3],
+    };
+
+    return contract
+      .connect(signer)
+      .requestLicense(patentId, terms, durationDays, requestExclusive, autoRenewal, input.inputProof);
+  }
+
+  const OPERATOR_UNTIL = 2n ** 47n;
+
+  // Deploy a mock confidential token and make it the contract's settlement token
+  async function deploySettlementToken() {
+    const MockConfidentialToken = await ethers.getContractFactory("MockConfidentialToken");
+    const token = await MockConfidentialToken.deploy("Confidential USD", "cUSD");
+    await token.waitForDeployment();
+
+    await contract.connect(owner).setSettlementToken(await token.getAddress());
+    return token;
+  }
+
+  // Decrypt a signer's balance in a confidential token
+  async function tokenBalance(token, signer) {
+    const handle = await token.confidentialBalanceOf(signer.address);
+    return fhevm.userDecryptEuint(FhevmType.euint64, handle, await token.getAddress(), signer);
+  }
+
+  // Pay an approved license's fee in the settlement token and wait for the check that activates it
+  async function settleLicenseFee(signer, licenseId, fee) {
+    await token.mint(signer.address, fee);
+    await token.connect(signer).setOperator(contractAddress, OPERATOR_UNTIL);
+    await contract.connect(signer).payLicenseFee(licenseId);
+    await fhevm.awaitDecryptionOracle();
+  }
+
+  // Sensitive admin actions are timelocked: schedule, wait out the delay, then execute
+  async function adminAction(method, ...args) {
+    await contract.connect(owner)[method](...args);
+    await time.increase(await contract.ADMIN_DELAY());
+    return contract.connect(owner)[method](...args);
+  }
+
+  const StatusReason = { None: 0, NonPayment: 1, Underreporting: 2, Breach: 3, Insolvency: 4, Other: 5, Emergency: 6 };
+
+  // Revocation takes effect after the cure period: issue the notice, wait it out, then revoke
+  async function revokeLicense(signer, licenseId) {
+    await contract.connect(signer).updateLicenseStatus(licenseId, 4, StatusReason.Breach, "");
+    await time.increase(await contract.CURE_PERIOD());
+    return contract.connect(signer).updateLicenseStatus(licenseId, 4, StatusReason.Breach, "");
+  }
+
+  async function submitConfidentialBid(signer, patentId, bidAmount) {
+    const input = await fhevm.createEncryptedInput(contractAddress, signer.address).add64(bidAmount).encrypt();
+
+    return contract.connect(signer).submitConfidentialBid(patentId, input.handles[0], input.inputProof);
+  }
+
+  async function payRoyalties(signer, licenseId, reportedRevenue, reportingPeriod, overrides = {}) {
+    const input = await fhevm.createEncryptedInput(contractAddress, signer.address).add64(reportedRevenue).encrypt();
+
+    return contract
+      .connect(signer)
+      .payRoyalties(licenseId, input.handles[0], reportingPeriod, input.inputProof, overrides);
+  }
+
   describe("Deployment", function () {
     it("Should set the correct owner", async function () {
       expect(await contract.owner()).to.equal(owner.address);
@@ -40,7 +174,8 @@ describe("ConfidentialPatentLicense", function () {
       const isConfidential = true;
 
       await expect(
-        contract.connect(patentOwner).registerPatent(
+        registerPatent(
+          patentOwner,
           royaltyRate,
           minLicenseFee,
           exclusivityPeriod,
@@ -55,25 +190,82 @@ describe("ConfidentialPatentLicense", function () {
       expect(await contract.nextPatentId()).to.equal(2);
     });
 
-    it("Should reject royalty rate over 100%", async function () {
+    it("Should cap royalty rate at 100% without revealing it", async function () {
       const royaltyRate = 10001; // Over 100%
 
+      await registerPatent(
+        patentOwner,
+        royaltyRate,
+        ethers.parseEther("1.0"),
+        180,
+        10,
+        "QmHash",
+        255,
+        false // Non-confidential so the owner can decrypt the stored terms
+      );
+
+      const patent = await contract.patents(1);
+      const storedRate = await fhevm.userDecryptEuint(
+        FhevmType.euint64,
+        patent.encryptedRoyaltyRate,
+        contractAddress,
+        patentOwner
+      );
+      expect(storedRate).to.equal(10000);
+    });
+
+    it("Should store client-encrypted terms", async function () {
+      await registerPatent(
+        patentOwner,
+        750,
+        ethers.parseEther("1.0"),
+        180,
+        10,
+        "QmHash",
+        255,
+        false
+      );
+
+      const patent = await contract.patents(1);
+      const minFee = await fhevm.userDecryptEuint(
+        FhevmType.euint64,
+        patent.encryptedMinLicenseFee,
+        contractAddress,
+        patentOwner
+      );
+      expect(minFee).to.equal(ethers.parseEther("1.0"));
+    });
+
+    it("Should reject inputs encrypted for another account", async function () {
+      const input = await fhevm
+        .createEncryptedInput(contractAddress, licensee.address)
+        .add64(1000)
+        .add64(ethers.parseEther("1.0"))
+        .add32(180)
+        .add8(0xff)
+        .encrypt();
+
       await expect(
-        contract.connect(patentOwner).registerPatent(
-          royaltyRate,
-          ethers.parseEther("1.0"),
-          180,
-          10,
-          "QmHash",
-          255,
-          true
-        )
-      ).to.be.revertedWith("Royalty rate too high");
+        contract
+          .connect(patentOwner)
+          .registerPatent(
+            input.handles[0],
+            input.handles[1],
+            input.handles[2],
+            input.handles[3],
+            10,
+            "QmHash",
+            255,
+            true,
+            input.inputProof
+          )
+      ).to.be.reverted;
     });
 
     it("Should reject invalid validity period", async function () {
       await expect(
-        contract.connect(patentOwner).registerPatent(
+        registerPatent(
+          patentOwner,
           1000,
           ethers.parseEther("1.0"),
           180,
@@ -85,7 +277,8 @@ describe("ConfidentialPatentLicense", function () {
       ).to.be.revertedWith("Invalid validity period");
 
       await expect(
-        contract.connect(patentOwner).registerPatent(
+        registerPatent(
+          patentOwner,
           1000,
           ethers.parseEther("1.0"),
           180,
@@ -98,7 +291,8 @@ describe("ConfidentialPatentLicense", function () {
     });
 
     it("Should track user patents correctly", async function () {
-      await contract.connect(patentOwner).registerPatent(
+      await registerPatent(
+        patentOwner,
         1000,
         ethers.parseEther("1.0"),
         180,
@@ -108,7 +302,8 @@ describe("ConfidentialPatentLicense", function () {
         true
       );
 
-      await contract.connect(patentOwner).registerPatent(
+      await registerPatent(
+        patentOwner,
         1500,
         ethers.parseEther("2.0"),
         90,
@@ -127,7 +322,8 @@ describe("ConfidentialPatentLicense", function () {
 
   describe("Patent Information Retrieval", function () {
     beforeEach(async function () {
-      await contract.connect(patentOwner).registerPatent(
+      await registerPatent(
+        patentOwner,
         1000,
         ethers.parseEther("1.0"),
         180,
@@ -158,7 +354,8 @@ describe("ConfidentialPatentLicense", function () {
   describe("License Requests", function () {
     beforeEach(async function () {
       // Register a patent first
-      await contract.connect(patentOwner).registerPatent(
+      await registerPatent(
+        patentOwner,
         1000,
         ethers.parseEther("1.0"),
         180,
@@ -174,11 +371,12 @@ describe("ConfidentialPatentLicense", function () {
       const proposedRoyaltyRate = 1000;
 
       await expect(
-        contract.connect(licensee).requestLicense(
+        requestLicense(
+          licensee,
           1, // patentId
           proposedFee,
           proposedRoyaltyRate,
-          ethers.parseEther("100"), // revenueCap
+          ethers.parseEther("18"), // revenueCap
           365, // durationDays
           false, // requestExclusive
           true, // autoRenewal
@@ -192,14 +390,15 @@ describe("ConfidentialPatentLicense", function () {
 
     it("Should reject license request for inactive patent", async function () {
       // Suspend the patent
-      await contract.connect(patentOwner).updatePatentStatus(1, 1); // Suspended
+      await contract.connect(patentOwner).updatePatentStatus(1, 1, StatusReason.Other, ""); // Suspended
 
       await expect(
-        contract.connect(licensee).requestLicense(
+        requestLicense(
+          licensee,
           1,
           ethers.parseEther("1.5"),
           1000,
-          ethers.parseEther("100"),
+          ethers.parseEther("18"),
           365,
           false,
           true,
@@ -210,11 +409,12 @@ describe("ConfidentialPatentLicense", function () {
 
     it("Should reject invalid duration", async function () {
       await expect(
-        contract.connect(licensee).requestLicense(
+        requestLicense(
+          licensee,
           1,
           ethers.parseEther("1.5"),
           1000,
-          ethers.parseEther("100"),
+          ethers.parseEther("18"),
           0, // Invalid duration
           false,
           true,
@@ -224,11 +424,12 @@ describe("ConfidentialPatentLicense", function () {
     });
 
     it("Should track user licenses", async function () {
-      await contract.connect(licensee).requestLicense(
+      await requestLicense(
+        licensee,
         1,
         ethers.parseEther("1.5"),
         1000,
-        ethers.parseEther("100"),
+        ethers.parseEther("18"),
         365,
         false,
         true,
@@ -239,11 +440,46 @@ describe("ConfidentialPatentLicense", function () {
       expect(userLicenses.length).to.equal(1);
       expect(userLicenses[0]).to.equal(1);
     });
+
+    it("Should let both parties decrypt the proposed fee", async function () {
+      await requestLicense(
+        licensee,
+        1,
+        ethers.parseEther("1.5"),
+        1000,
+        ethers.parseEther("18"),
+        365,
+        false,
+        true,
+        255
+      );
+
+      const license = await contract.licenses(1);
+      for (const party of [licensee, patentOwner]) {
+        const fee = await fhevm.userDecryptEuint(FhevmType.euint64, license.encryptedLicenseFee, contractAddress, party);
+        expect(fee).to.equal(ethers.parseEther("1.5"));
+      }
+    });
+
+    it("Should flag proposals below the minimum fee for the licensor only", async function () {
+      await requestLicense(licensee, 1, ethers.parseEther("0.5"), 1000, ethers.parseEther("18"), 365, false, true, 255);
+      await requestLicense(licensee, 1, ethers.parseEther("1.0"), 1000, ethers.parseEther("18"), 365, false, true, 255);
+
+      const belowMinimum = await contract.proposalMeetsMinimumFee(1);
+      const atMinimum = await contract.proposalMeetsMinimumFee(2);
+
+      expect(await fhevm.userDecryptEbool(belowMinimum, contractAddress, patentOwner)).to.equal(false);
+      expect(await fhevm.userDecryptEbool(atMinimum, contractAddress, patentOwner)).to.equal(true);
+
+      // The licensee cannot use the flag to probe the reserve
+      await expect(fhevm.userDecryptEbool(belowMinimum, contractAddress, licensee)).to.be.rejected;
+    });
   });
 
   describe("License Approval", function () {
     beforeEach(async function () {
-      await contract.connect(patentOwner).registerPatent(
+      await registerPatent(
+        patentOwner,
         1000,
         ethers.parseEther("1.0"),
         180,
@@ -253,11 +489,12 @@ describe("ConfidentialPatentLicense", function () {
         true
       );
 
-      await contract.connect(licensee).requestLicense(
+      await requestLicense(
+        licensee,
         1,
         ethers.parseEther("1.5"),
         1000,
-        ethers.parseEther("100"),
+        ethers.parseEther("18"),
         365,
         false,
         true,
@@ -267,289 +504,3145 @@ describe("ConfidentialPatentLicense", function () {
 
     it("Should approve license request", async function () {
       await expect(
-        contract.connect(patentOwner).approveLicense(1, 365)
+        contract.connect(patentOwner).approveLicense(1)
       ).to.emit(contract, "LicenseApproved")
         .withArgs(1, licensee.address, patentOwner.address);
     });
 
     it("Should only allow licensor to approve", async function () {
       await expect(
-        contract.connect(licensee).approveLicense(1, 365)
+        contract.connect(licensee).approveLicense(1)
       ).to.be.revertedWith("Not the licensor");
     });
 
     it("Should reject approving non-pending license", async function () {
-      await contract.connect(patentOwner).approveLicense(1, 365);
+      await contract.connect(patentOwner).approveLicense(1);
 
       await expect(
-        contract.connect(patentOwner).approveLicense(1, 365)
+        contract.connect(patentOwner).approveLicense(1)
       ).to.be.revertedWith("License not pending");
     });
-  });
 
-  describe("Confidential Bidding", function () {
-    beforeEach(async function () {
-      await contract.connect(patentOwner).registerPatent(
-        1000,
-        ethers.parseEther("1.0"),
-        180,
-        10,
-        "QmTestHash",
-        255,
-        true
-      );
-    });
+    it("Should list only the requests still awaiting an answer", async function () {
+      await requestLicense(bidder1, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 255);
+      await requestLicense(bidder2, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 255);
+      expect(await contract.getPendingRequests(1)).to.deep.equal([1n, 2n, 3n]);
 
-    it("Should start confidential bidding", async function () {
-      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+      await contract.connect(patentOwner).approveLicense(1);
+      await contract.connect(bidder2).withdrawLicenseRequest(3);
 
-      expect(await contract.biddingOpen(1)).to.equal(true);
-      expect(await contract.isBiddingActive(1)).to.equal(true);
+      expect(await contract.getPendingRequests(1)).to.deep.equal([2n]);
+      expect(await contract.getPatentLicenses(1)).to.deep.equal([1n, 2n, 3n]);
     });
 
-    it("Should only allow patent owner to start bidding", async function () {
-      await expect(
-        contract.connect(licensee).startConfidentialBidding(1, 24)
-      ).to.be.revertedWith("Not patent owner");
+    it("Should activate the license for the requested duration", async function () {
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+
+      const license = await contract.licenses(1);
+      expect(license.status).to.equal(1); // Active
+      expect(license.endTime - license.startTime).to.equal(365n * 24n * 3600n);
     });
 
-    it("Should reject invalid bidding duration", async function () {
-      await expect(
-        contract.connect(patentOwner).startConfidentialBidding(1, 0)
-      ).to.be.revertedWith("Invalid duration");
+    it("Should not approve a license without a settlement token", async function () {
+      await adminAction("setSettlementToken", ethers.ZeroAddress);
 
-      await expect(
-        contract.connect(patentOwner).startConfidentialBidding(1, 169) // Over 1 week
-      ).to.be.revertedWith("Invalid duration");
+      await expect(contract.connect(patentOwner).approveLicense(1)).to.be.revertedWith("Settlement token not set");
     });
 
-    it("Should submit confidential bid", async function () {
-      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+    describe("Fee Settlement", function () {
+      const AWAITING_PAYMENT = 7;
 
-      await expect(
-        contract.connect(bidder1).submitConfidentialBid(1, ethers.parseEther("2.0"))
-      ).to.emit(contract, "ConfidentialBidSubmitted")
-        .withArgs(1, bidder1.address);
-    });
+      beforeEach(async function () {
+        await token.connect(licensee).setOperator(contractAddress, OPERATOR_UNTIL);
+        await contract.connect(patentOwner).approveLicense(1);
+      });
 
-    it("Should reject bid when bidding not open", async function () {
-      await expect(
-        contract.connect(bidder1).submitConfidentialBid(1, ethers.parseEther("2.0"))
-      ).to.be.revertedWith("Bidding not open");
-    });
+      it("Should hold the license until the fee is paid", async function () {
+        const approvedAt = await time.latest();
+        expect((await contract.licenses(1)).status).to.equal(AWAITING_PAYMENT);
+        expect(await contract.feeDeadline(1)).to.equal(BigInt(approvedAt) + (await contract.FEE_PAYMENT_PERIOD()));
 
-    it("Should reject bid after bidding ended", async function () {
-      await contract.connect(patentOwner).startConfidentialBidding(1, 1); // 1 hour
+        await expect(payRoyalties(licensee, 1, ethers.parseEther("10"), 202501)).to.be.revertedWith(
+          "License not active"
+        );
+        await expect(contract.connect(bidder1).payLicenseFee(1)).to.be.revertedWith("Not the licensee");
+      });
 
-      // Advance time past bidding period
-      await time.increase(3601); // 1 hour + 1 second
+      it("Should activate the license once the full fee is confirmed", async function () {
+        await token.mint(licensee.address, ethers.parseEther("2.0"));
 
-      await expect(
-        contract.connect(bidder1).submitConfidentialBid(1, ethers.parseEther("2.0"))
-      ).to.be.revertedWith("Bidding ended");
-    });
+        await expect(contract.connect(licensee).payLicenseFee(1)).to.emit(contract, "LicenseFeeCheckRequested");
+        expect(await contract.feeCheckPending(1)).to.equal(true);
+        await expect(contract.connect(licensee).payLicenseFee(1)).to.be.revertedWith("Fee check pending");
 
-    it("Should allow multiple bidders", async function () {
-      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        await fhevm.awaitDecryptionOracle();
 
-      await contract.connect(bidder1).submitConfidentialBid(1, ethers.parseEther("2.0"));
-      await contract.connect(bidder2).submitConfidentialBid(1, ethers.parseEther("2.5"));
+        expect((await contract.licenses(1)).status).to.equal(1); // Active
+        const [checked] = await contract.queryFilter(contract.filters.LicenseFeeChecked(1));
+        expect(checked.args.settled).to.equal(true);
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("1.5"));
+      });
 
-      // Both bids should be recorded
-      const bidders = await contract.bidders(1, 0);
-      expect(bidders).to.equal(bidder1.address);
+      it("Should keep awaiting payment after a failed transfer", async function () {
+        await token.mint(licensee.address, ethers.parseEther("1.0")); // Short of the 1.5 fee
+        await contract.connect(licensee).payLicenseFee(1);
+        await fhevm.awaitDecryptionOracle();
+
+        expect((await contract.licenses(1)).status).to.equal(AWAITING_PAYMENT);
+        expect(await contract.feeCheckPending(1)).to.equal(false);
+
+        await token.mint(licensee.address, ethers.parseEther("1.0"));
+        await contract.connect(licensee).payLicenseFee(1);
+        await fhevm.awaitDecryptionOracle();
+
+        expect((await contract.licenses(1)).status).to.equal(1); // Active
+      });
+
+      it("Should let the approval lapse once the deadline passes", async function () {
+        await time.increase(await contract.FEE_PAYMENT_PERIOD());
+
+        await expect(contract.connect(licensee).payLicenseFee(1)).to.be.revertedWith("Fee deadline passed");
+        expect(await contract.getEffectiveLicenseStatus(1)).to.equal(3); // Expired
+
+        await contract.processExpirations([1]);
+        expect((await contract.licenses(1)).status).to.equal(3);
+      });
     });
   });
 
-  describe("Royalty Payments", function () {
+  describe("License Negotiation", function () {
+    async function counterOffer(signer, licenseId, fee, royaltyRate, revenueCap, durationDays, territoryMask) {
+      const input = await fhevm
+        .createEncryptedInput(contractAddress, signer.address)
+        .add64(fee)
+        .add64(royaltyRate)
+        .add64(revenueCap)
+        .add8(territoryMask)
+        .encrypt();
+
+      const terms = {
+        fee: input.handles[0],
+        royaltyRate: input.handles[1],
+        revenueCap: input.handles[2],
+        territoryMask: input.handles[3],
+      };
+
+      return contract.connect(signer).counterOffer(licenseId, terms, durationDays, input.inputProof);
+    }
+
+    async function decryptFee(signer) {
+      const license = await contract.licenses(1);
+      return fhevm.userDecryptEuint(FhevmType.euint64, license.encryptedLicenseFee, contractAddress, signer);
+    }
+
     beforeEach(async function () {
-      await contract.connect(patentOwner).registerPatent(
-        1000,
-        ethers.parseEther("1.0"),
-        180,
-        10,
-        "QmTestHash",
-        255,
-        true
-      );
+      await registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 10, "QmTestHash", 255, true);
+      await requestLicense(licensee, 1, ethers.parseEther("1.2"), 500, ethers.parseEther("18"), 365, false, true, 255);
+    });
 
-      await contract.connect(licensee).requestLicense(
-        1,
-        ethers.parseEther("1.5"),
-        1000,
-        ethers.parseEther("100"),
-        365,
-        false,
-        true,
-        255
-      );
+    it("Should record the request as the opening round", async function () {
+      expect(await contract.getNegotiationRoundCount(1)).to.equal(1);
 
-      await contract.connect(patentOwner).approveLicense(1, 365);
+      const round = await contract.negotiationRounds(1, 0);
+      expect(round.proposer).to.equal(licensee.address);
+      expect(round.durationDays).to.equal(365);
     });
 
-    it("Should pay royalties successfully", async function () {
-      const reportedRevenue = ethers.parseEther("10");
-      const paymentAmount = ethers.parseEther("1.0");
+    it("Should let the licensor counter with new terms", async function () {
+      await expect(counterOffer(patentOwner, 1, ethers.parseEther("2.0"), 800, 0, 180, 3))
+        .to.emit(contract, "LicenseCounterOffered")
+        .withArgs(1, patentOwner.address, 1);
+
+      expect(await contract.getNegotiationRoundCount(1)).to.equal(2);
+      expect(await decryptFee(licensee)).to.equal(ethers.parseEther("2.0"));
+
+      // Earlier rounds stay readable by both parties
+      const opening = await contract.negotiationRounds(1, 0);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, opening.encryptedLicenseFee, contractAddress, patentOwner)
+      ).to.equal(ethers.parseEther("1.2"));
+    });
+
+    it("Should activate the counter-offer once the licensee accepts it", async function () {
+      await counterOffer(patentOwner, 1, ethers.parseEther("2.0"), 800, 0, 180, 3);
+
+      await expect(contract.connect(licensee).acceptCounterOffer(1))
+        .to.emit(contract, "LicenseApproved")
+        .withArgs(1, licensee.address, patentOwner.address);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("2.0"));
+
+      const license = await contract.licenses(1);
+      expect(license.status).to.equal(1); // Active
+      expect(license.endTime - license.startTime).to.equal(180n * 24n * 3600n);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, license.encryptedRoyaltyRate, contractAddress, licensee)
+      ).to.equal(800);
+    });
+
+    it("Should support several rounds before the licensor approves", async function () {
+      await counterOffer(patentOwner, 1, ethers.parseEther("2.0"), 800, 0, 180, 3);
+      await counterOffer(licensee, 1, ethers.parseEther("1.6"), 700, 0, 270, 3);
+
+      await contract.connect(patentOwner).approveLicense(1);
+
+      const license = await contract.licenses(1);
+      expect(license.endTime - license.startTime).to.equal(270n * 24n * 3600n);
+      expect(await decryptFee(patentOwner)).to.equal(ethers.parseEther("1.6"));
+      expect(await contract.getNegotiationRoundCount(1)).to.equal(3);
+    });
 
+    it("Should only let the party awaiting a response act", async function () {
+      // The licensee cannot revise their own proposal or accept it
       await expect(
-        contract.connect(licensee).payRoyalties(
-          1,
-          reportedRevenue,
-          202501,
-          { value: paymentAmount }
-        )
-      ).to.emit(contract, "RoyaltyPaid")
-        .withArgs(1, licensee.address, 202501);
+        counterOffer(licensee, 1, ethers.parseEther("1.3"), 500, 0, 365, 255)
+      ).to.be.revertedWith("Awaiting counterparty");
+      await expect(contract.connect(licensee).acceptCounterOffer(1)).to.be.revertedWith("Awaiting counterparty");
 
-      const paymentCount = await contract.getRoyaltyPaymentCount(1);
-      expect(paymentCount).to.equal(1);
+      await counterOffer(patentOwner, 1, ethers.parseEther("2.0"), 800, 0, 180, 3);
+
+      // Nor can the licensor approve their own counter-offer
+      await expect(contract.connect(patentOwner).approveLicense(1)).to.be.revertedWith("Awaiting counterparty");
     });
 
-    it("Should only allow licensee to pay royalties", async function () {
+    it("Should reject counter-offers from outsiders", async function () {
       await expect(
-        contract.connect(bidder1).payRoyalties(
-          1,
-          ethers.parseEther("10"),
-          202501,
-          { value: ethers.parseEther("1.0") }
-        )
-      ).to.be.revertedWith("Not the licensee");
+        counterOffer(bidder1, 1, ethers.parseEther("2.0"), 800, 0, 180, 3)
+      ).to.be.revertedWith("Not a license party");
     });
 
-    it("Should reject payment for inactive license", async function () {
-      // Suspend the license
-      await contract.connect(patentOwner).updateLicenseStatus(1, 2); // Suspended
+    it("Should let the licensee withdraw a pending request", async function () {
+      await expect(contract.connect(licensee).withdrawLicenseRequest(1))
+        .to.emit(contract, "LicenseStatusChanged")
+        .withArgs(1, 5); // Withdrawn
 
+      await expect(contract.connect(patentOwner).approveLicense(1)).to.be.revertedWith("License not pending");
       await expect(
-        contract.connect(licensee).payRoyalties(
-          1,
-          ethers.parseEther("10"),
-          202501,
-          { value: ethers.parseEther("1.0") }
-        )
-      ).to.be.revertedWith("License not active");
+        counterOffer(patentOwner, 1, ethers.parseEther("2.0"), 800, 0, 180, 3)
+      ).to.be.revertedWith("License not pending");
     });
 
-    it("Should transfer payment to licensor", async function () {
-      const initialBalance = await ethers.provider.getBalance(patentOwner.address);
-      const paymentAmount = ethers.parseEther("1.0");
-
-      await contract.connect(licensee).payRoyalties(
-        1,
-        ethers.parseEther("10"),
-        202501,
-        { value: paymentAmount }
-      );
+    it("Should re-check counter-offers against the minimum fee for the licensor", async function () {
+      await counterOffer(patentOwner, 1, ethers.parseEther("2.0"), 800, 0, 180, 3);
+      await counterOffer(licensee, 1, ethers.parseEther("0.5"), 800, 0, 180, 3);
 
-      const finalBalance = await ethers.provider.getBalance(patentOwner.address);
-      expect(finalBalance - initialBalance).to.equal(paymentAmount);
+      const flag = await contract.proposalMeetsMinimumFee(1);
+      expect(await fhevm.userDecryptEbool(flag, contractAddress, patentOwner)).to.equal(false);
     });
   });
 
-  describe("Patent Status Management", function () {
+  describe("Exclusive Licenses", function () {
     beforeEach(async function () {
-      await contract.connect(patentOwner).registerPatent(
-        1000,
-        ethers.parseEther("1.0"),
-        180,
-        10,
-        "QmTestHash",
-        255,
-        true
-      );
+      await registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 10, "QmTestHash", 255, true);
+
+      // License 1: exclusive in territories 0 and 1 for 30 days
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, true, false, 0b0011);
+      await contract.connect(patentOwner).approveLicense(1);
     });
 
-    it("Should update patent status", async function () {
-      await expect(
-        contract.connect(patentOwner).updatePatentStatus(1, 1) // Suspended
-      ).to.emit(contract, "PatentStatusChanged")
-        .withArgs(1, 1);
+    // The granted mask is visible to the licensor only
+    async function grantedTerritory(licenseId) {
+      const { encryptedTerritoryMask } = await contract.licenses(licenseId);
+      return fhevm.userDecryptEuint(FhevmType.euint8, encryptedTerritoryMask, contractAddress, patentOwner);
+    }
 
-      const info = await contract.getPatentInfo(1);
-      expect(info.status).to.equal(1);
+    it("Should withhold territories under an exclusive term from new grants", async function () {
+      await requestLicense(bidder1, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0110);
+      await contract.connect(patentOwner).approveLicense(2);
+
+      expect(await grantedTerritory(2)).to.equal(0b0100n);
+      expect(await grantedTerritory(1)).to.equal(0b0011n);
     });
 
-    it("Should only allow patent owner to update status", async function () {
-      await expect(
-        contract.connect(licensee).updatePatentStatus(1, 1)
-      ).to.be.revertedWith("Not patent owner");
+    it("Should let exclusive licenses coexist only in disjoint territories", async function () {
+      await requestLicense(bidder1, 1, ethers.parseEther("1.5"), 1000, 0, 30, true, false, 0b1100);
+      await requestLicense(bidder2, 1, ethers.parseEther("1.5"), 1000, 0, 30, true, false, 0b0001);
+      await contract.connect(patentOwner).approveLicense(2);
+      await contract.connect(patentOwner).approveLicense(3);
+
+      expect(await grantedTerritory(2)).to.equal(0b1100n);
+      expect(await grantedTerritory(3)).to.equal(0n);
+
+      // Both parties learn that license 3 was cut down before its fee is paid
+      const covers = async (licenseId, signer) =>
+        fhevm.userDecryptEbool(await contract.grantCoversRequest(licenseId), contractAddress, signer);
+      expect(await covers(2, bidder1)).to.equal(true);
+      expect(await covers(3, bidder2)).to.equal(false);
+      expect(await covers(3, patentOwner)).to.equal(false);
     });
-  });
 
-  describe("License Status Management", function () {
-    beforeEach(async function () {
-      await contract.connect(patentOwner).registerPatent(
-        1000,
-        ethers.parseEther("1.0"),
-        180,
-        10,
-        "QmTestHash",
-        255,
-        true
-      );
+    it("Should grant the full territory once the exclusive term ends", async function () {
+      await requestLicense(bidder1, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0110);
 
-      await contract.connect(licensee).requestLicense(
-        1,
-        ethers.parseEther("1.5"),
-        1000,
-        ethers.parseEther("100"),
-        365,
-        false,
-        true,
-        255
+      await time.increase(30 * 24 * 3600);
+      await contract.connect(patentOwner).approveLicense(2);
+
+      expect(await grantedTerritory(2)).to.equal(0b0110n);
+    });
+
+    it("Should release an exclusive approval's territories once its fee lapses", async function () {
+      await time.increase(await contract.FEE_PAYMENT_PERIOD());
+      expect(await contract.getEffectiveLicenseStatus(1)).to.equal(3); // Expired
+
+      await requestLicense(bidder1, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0011);
+      await contract.connect(patentOwner).approveLicense(2);
+
+      expect(await grantedTerritory(2)).to.equal(0b0011n);
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+    });
+
+    it("Should keep a suspended exclusive license's territories from new grants", async function () {
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+      await contract.connect(patentOwner).updateLicenseStatus(1, 2, StatusReason.Breach, ""); // Suspended
+      await expect(contract.connect(patentOwner).startConfidentialBidding(1, 24)).to.be.revertedWith(
+        "Exclusive license active"
       );
+
+      await requestLicense(bidder1, 1, ethers.parseEther("1.5"), 1000, 0, 30, true, false, 0b0011);
+      await contract.connect(patentOwner).approveLicense(2);
+      await settleLicenseFee(bidder1, 2, ethers.parseEther("1.5"));
+      await contract.connect(patentOwner).updateLicenseStatus(1, 1, StatusReason.None, ""); // Active
+
+      expect(await grantedTerritory(1)).to.equal(0b0011n);
+      expect(await grantedTerritory(2)).to.equal(0n);
     });
 
-    it("Should update license status", async function () {
-      await expect(
-        contract.connect(patentOwner).updateLicenseStatus(1, 4) // Revoked
-      ).to.emit(contract, "LicenseStatusChanged")
-        .withArgs(1, 4);
+    it("Should not reinstate an exclusive license over territories granted in the meantime", async function () {
+      await requestLicense(bidder2, 1, ethers.parseEther("1.5"), 1000, 0, 365, true, false, 0b1100);
+      await contract.connect(patentOwner).approveLicense(2);
+      await settleLicenseFee(bidder2, 2, ethers.parseEther("1.5"));
+      await revokeLicense(patentOwner, 2);
+
+      await requestLicense(bidder1, 1, ethers.parseEther("1.5"), 1000, 0, 365, true, false, 0b0100);
+      await contract.connect(patentOwner).approveLicense(3);
+      expect(await grantedTerritory(3)).to.equal(0b0100n);
+
+      await adminAction("grantRole", await contract.ARBITER_ROLE(), licensee.address);
+      await contract.connect(bidder2).openDispute(2);
+      await contract.connect(owner).assignArbiter(1, licensee.address);
+      await contract.connect(licensee).resolveDispute(1, 5, ethers.ZeroHash, "0x"); // Reinstatement
+
+      expect((await contract.licenses(2)).status).to.equal(1); // Active
+      expect(await grantedTerritory(2)).to.equal(0b1000n);
     });
 
-    it("Should only allow licensor to update status", async function () {
-      await expect(
-        contract.connect(licensee).updateLicenseStatus(1, 4)
-      ).to.be.revertedWith("Not the licensor");
+    it("Should not start an auction while a requested exclusive license is active", async function () {
+      await expect(contract.connect(patentOwner).startConfidentialBidding(1, 24)).to.be.revertedWith(
+        "Exclusive license active"
+      );
     });
   });
 
-  describe("Emergency Functions", function () {
+  describe("Territory Matching", function () {
     beforeEach(async function () {
-      await contract.connect(patentOwner).registerPatent(
-        1000,
-        ethers.parseEther("1.0"),
-        180,
-        10,
-        "QmTestHash",
-        255,
-        true
-      );
+      // Patent 1 is licensable in territories 0 and 2
+      await registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 10, "QmTestHash", 1, true, 0b0101);
     });
 
-    it("Should allow owner to emergency pause", async function () {
-      await contract.connect(owner).emergencyPause(1);
+    async function decryptFlag(handle, signer) {
+      return fhevm.userDecryptEbool(handle, contractAddress, signer);
+    }
 
-      const info = await contract.getPatentInfo(1);
-      expect(info.status).to.equal(1); // Suspended
+    it("Should limit requested territories to the patent's", async function () {
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0011);
+      await contract.connect(patentOwner).approveLicense(1);
+
+      const { encryptedTerritoryMask } = await contract.licenses(1);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint8, encryptedTerritoryMask, contractAddress, patentOwner)
+      ).to.equal(0b0001n);
     });
 
-    it("Should allow owner to emergency resume", async function () {
-      await contract.connect(owner).emergencyPause(1);
-      await contract.connect(owner).emergencyResume(1);
+    it("Should flag requests outside the patent's territories for the licensor only", async function () {
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0011);
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b1010);
 
-      const info = await contract.getPatentInfo(1);
-      expect(info.status).to.equal(0); // Active
+      expect(await decryptFlag(await contract.proposalCoversTerritory(1), patentOwner)).to.equal(true);
+      expect(await decryptFlag(await contract.proposalCoversTerritory(2), patentOwner)).to.equal(false);
+      await expect(decryptFlag(await contract.proposalCoversTerritory(2), licensee)).to.be.rejected;
     });
 
-    it("Should only allow owner to use emergency functions", async function () {
-      await expect(
-        contract.connect(patentOwner).emergencyPause(1)
-      ).to.be.revertedWith("Not authorized");
+    it("Should answer confidential territory checks for license parties", async function () {
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0111);
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+
+      await expect(contract.connect(licensee).checkTerritory(1, 2))
+        .to.emit(contract, "TerritoryChecked")
+        .withArgs(1, licensee.address, 2);
+      expect(await decryptFlag(await contract.territoryChecks(1, licensee.address), licensee)).to.equal(true);
 
+      await contract.connect(licensee).checkTerritory(1, 1);
+      expect(await decryptFlag(await contract.territoryChecks(1, licensee.address), licensee)).to.equal(false);
+
+      // The licensee never gets access to the granted mask itself
+      const { encryptedTerritoryMask } = await contract.licenses(1);
       await expect(
-        contract.connect(patentOwner).emergencyResume(1)
-      ).to.be.revertedWith("Not authorized");
+        fhevm.userDecryptEuint(FhevmType.euint8, encryptedTerritoryMask, contractAddress, licensee)
+      ).to.be.rejected;
+    });
+
+    it("Should validate territory checks", async function () {
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0001);
+
+      await expect(contract.connect(licensee).checkTerritory(1, 0)).to.be.revertedWith("License not active");
+
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+      await expect(contract.connect(licensee).checkTerritory(1, 8)).to.be.revertedWith("Invalid territory");
+      await expect(contract.connect(bidder1).checkTerritory(1, 0)).to.be.revertedWith("Not a license party");
+    });
+  });
+
+  describe("Sublicensing", function () {
+    let sublicensee;
+
+    beforeEach(async function () {
+      sublicensee = (await ethers.getSigners())[5];
+      await registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 10, "QmTestHash", 255, true);
+
+      // License 1 covers territories 0-2 for a year
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 365, false, false, 0b0111);
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+    });
+
+    async function allowSublicensing(licenseId, passThroughRate) {
+      const input = await fhevm
+        .createEncryptedInput(contractAddress, patentOwner.address)
+        .add64(passThroughRate)
+        .encrypt();
+
+      return contract.connect(patentOwner).allowSublicensing(licenseId, input.handles[0], input.inputProof);
+    }
+
+    async function issueSublicense(parentId, to, fee, royaltyRate, durationDays, territoryMask) {
+      const input = await fhevm
+        .createEncryptedInput(contractAddress, licensee.address)
+        .add64(fee)
+        .add64(royaltyRate)
+        .add64(0)
+        .add8(territoryMask)
+        .encrypt();
+
+      const terms = {
+        fee: input.handles[0],
+        royaltyRate: input.handles[1],
+        revenueCap: input.handles[2],
+        territoryMask: input.handles[3],
+      };
+
+      return contract.connect(licensee).issueSublicense(parentId, to, terms, durationDays, input.inputProof);
+    }
+
+    it("Should let a sublicensable licensee issue a sublicense", async function () {
+      await expect(allowSublicensing(1, 2000)).to.emit(contract, "SublicensingAllowed").withArgs(1);
+
+      await expect(issueSublicense(1, sublicensee.address, ethers.parseEther("0.5"), 1000, 30, 0b0011))
+        .to.emit(contract, "SublicenseIssued")
+        .withArgs(1, 2, sublicensee.address);
+
+      const sublicense = await contract.licenses(2);
+      expect(sublicense.licensor).to.equal(licensee.address);
+      expect(sublicense.licensee).to.equal(sublicensee.address);
+      expect(sublicense.status).to.equal(0); // Pending
+      expect(await contract.parentLicense(2)).to.equal(1);
+      expect(await contract.getSublicenses(1)).to.deep.equal([2n]);
+      expect(await contract.getUserLicenses(sublicensee.address)).to.deep.equal([2n]);
+
+      await expect(contract.connect(sublicensee).acceptCounterOffer(2))
+        .to.emit(contract, "LicenseApproved")
+        .withArgs(2, sublicensee.address, licensee.address);
+    });
+
+    it("Should bound a sublicense by the parent's territory and term", async function () {
+      await allowSublicensing(1, 2000);
+      await issueSublicense(1, sublicensee.address, ethers.parseEther("0.5"), 1000, 1000, 0b1110);
+      await contract.connect(sublicensee).acceptCounterOffer(2);
+
+      const parent = await contract.licenses(1);
+      const sublicense = await contract.licenses(2);
+      expect(sublicense.endTime).to.equal(parent.endTime);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint8, sublicense.encryptedTerritoryMask, contractAddress, licensee)
+      ).to.equal(0b0110n);
+    });
+
+    it("Should let a sublicense share its parent's exclusive territories", async function () {
+      await requestLicense(bidder1, 1, ethers.parseEther("1.5"), 1000, 0, 365, true, false, 0b1000);
+      await contract.connect(patentOwner).approveLicense(2);
+      await settleLicenseFee(bidder1, 2, ethers.parseEther("1.5"));
+      await allowSublicensing(2, 2000);
+
+      const input = await fhevm
+        .createEncryptedInput(contractAddress, bidder1.address)
+        .add64(0)
+        .add64(1000)
+        .add64(0)
+        .add8(0b1000)
+        .encrypt();
+      const terms = {
+        fee: input.handles[0],
+        royaltyRate: input.handles[1],
+        revenueCap: input.handles[2],
+        territoryMask: input.handles[3],
+      };
+      await contract.connect(bidder1).issueSublicense(2, sublicensee.address, terms, 30, input.inputProof);
+      await contract.connect(sublicensee).acceptCounterOffer(3);
+
+      const { encryptedTerritoryMask } = await contract.licenses(3);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint8, encryptedTerritoryMask, contractAddress, bidder1)
+      ).to.equal(0b1000n);
+    });
+
+    it("Should require sublicensing rights", async function () {
+      await expect(
+        issueSublicense(1, sublicensee.address, ethers.parseEther("0.5"), 1000, 30, 0b0001)
+      ).to.be.revertedWith("Sublicensing not allowed");
+
+      const input = await fhevm.createEncryptedInput(contractAddress, licensee.address).add64(2000).encrypt();
+      await expect(
+        contract.connect(licensee).allowSublicensing(1, input.handles[0], input.inputProof)
+      ).to.be.revertedWith("Not the licensor");
+
+      await allowSublicensing(1, 2000);
+      await expect(issueSublicense(1, licensee.address, 0, 1000, 30, 0b0001)).to.be.revertedWith(
+        "Invalid sublicensee"
+      );
+      await expect(issueSublicense(1, sublicensee.address, 0, 1000, 0, 0b0001)).to.be.revertedWith(
+        "Invalid duration"
+      );
+
+      // Only one level of sublicensing
+      await issueSublicense(1, sublicensee.address, 0, 1000, 30, 0b0001);
+      await contract.connect(sublicensee).acceptCounterOffer(2);
+      await settleLicenseFee(sublicensee, 2, 0);
+      const rate = await fhevm.createEncryptedInput(contractAddress, licensee.address).add64(2000).encrypt();
+      await expect(
+        contract.connect(licensee).allowSublicensing(2, rate.handles[0], rate.inputProof)
+      ).to.be.revertedWith("Sublicenses cannot be sublicensed");
+    });
+
+    it("Should not activate a sublicense while the parent is suspended", async function () {
+      await allowSublicensing(1, 2000);
+      await issueSublicense(1, sublicensee.address, 0, 1000, 30, 0b0001);
+
+      await contract.connect(patentOwner).updateLicenseStatus(1, 2, StatusReason.NonPayment, ""); // Suspended
+      await expect(contract.connect(sublicensee).acceptCounterOffer(2)).to.be.revertedWith(
+        "Parent license not active"
+      );
+    });
+
+    it("Should cascade revocation of the parent to its sublicenses", async function () {
+      await allowSublicensing(1, 2000);
+      await issueSublicense(1, sublicensee.address, 0, 1000, 30, 0b0001);
+      await contract.connect(sublicensee).acceptCounterOffer(2);
+      await issueSublicense(1, bidder2.address, 0, 1000, 30, 0b0010);
+
+      await expect(revokeLicense(patentOwner, 1))
+        .to.emit(contract, "LicenseStatusChanged")
+        .withArgs(2, 4)
+        .and.to.emit(contract, "LicenseStatusChanged")
+        .withArgs(3, 4);
+
+      expect((await contract.licenses(2)).status).to.equal(4);
+      expect((await contract.licenses(3)).status).to.equal(4);
+    });
+
+    describe("Royalty Pass-Through", function () {
+      beforeEach(async function () {
+        await token.mint(sublicensee.address, ethers.parseEther("2.0"));
+        await token.connect(sublicensee).setOperator(contractAddress, OPERATOR_UNTIL);
+
+        // 20% of sublicense royalties pass through to the patent owner
+        await allowSublicensing(1, 2000);
+        await issueSublicense(1, sublicensee.address, 0, 1000, 30, 0b0001);
+        await contract.connect(sublicensee).acceptCounterOffer(2);
+        await contract.connect(sublicensee).payLicenseFee(2);
+        await fhevm.awaitDecryptionOracle();
+      });
+
+      it("Should split sublicense royalties with the patent owner", async function () {
+        const input = await fhevm
+          .createEncryptedInput(contractAddress, sublicensee.address)
+          .add64(ethers.parseEther("10"))
+          .add64(ethers.parseEther("1.0"))
+          .encrypt();
+        await contract
+          .connect(sublicensee)
+          .payRoyaltiesConfidential(2, input.handles[0], input.handles[1], 202501, input.inputProof);
+
+        // The patent owner also holds license 1's 1.5 fee
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("1.7"));
+        expect(await tokenBalance(token, licensee)).to.equal(ethers.parseEther("0.8"));
+        expect(await tokenBalance(token, sublicensee)).to.equal(ethers.parseEther("1.0"));
+
+        const passedThrough = await contract.passedThroughRoyalties(1);
+        for (const signer of [patentOwner, licensee]) {
+          expect(
+            await fhevm.userDecryptEuint(FhevmType.euint64, passedThrough, contractAddress, signer)
+          ).to.equal(ethers.parseEther("0.2"));
+        }
+      });
+
+      it("Should reject ether royalties on sublicenses", async function () {
+        await expect(
+          payRoyalties(sublicensee, 2, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") })
+        ).to.be.revertedWith("Sublicense royalties are confidential");
+      });
+    });
+  });
+
+  describe("Co-Ownership", function () {
+    let coOwner1;
+    let coOwner2;
+
+    beforeEach(async function () {
+      [coOwner1, coOwner2] = (await ethers.getSigners()).slice(6, 8);
+      await registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 10, "QmTestHash", 255, true);
+    });
+
+    async function setCoOwners(coOwners, shares, threshold) {
+      const input = fhevm.createEncryptedInput(contractAddress, patentOwner.address);
+      for (const share of shares) {
+        input.add64(share);
+      }
+      const { handles, inputProof } = await input.encrypt();
+
+      return contract
+        .connect(patentOwner)
+        .setCoOwners(1, coOwners.map((signer) => signer.address), handles, threshold, inputProof);
+    }
+
+    async function decryptShare(signer) {
+      const handle = await contract.ownershipShares(1, signer.address);
+      return fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, signer);
+    }
+
+    it("Should record encrypted shares visible to each owner only", async function () {
+      await expect(setCoOwners([coOwner1, coOwner2], [3000, 2000], 2))
+        .to.emit(contract, "CoOwnersSet")
+        .withArgs(1, 2, 2);
+
+      expect(await contract.getCoOwners(1)).to.deep.equal([coOwner1.address, coOwner2.address]);
+      expect(await contract.approvalThreshold(1)).to.equal(2);
+      expect(await decryptShare(coOwner1)).to.equal(3000n);
+      expect(await decryptShare(coOwner2)).to.equal(2000n);
+      expect(await decryptShare(patentOwner)).to.equal(5000n);
+
+      const handle = await contract.ownershipShares(1, coOwner1.address);
+      await expect(fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, coOwner2)).to.be.rejected;
+    });
+
+    it("Should cap shares at 100% without revealing them", async function () {
+      await setCoOwners([coOwner1, coOwner2], [8000, 5000], 1);
+
+      expect(await decryptShare(coOwner1)).to.equal(8000n);
+      expect(await decryptShare(coOwner2)).to.equal(2000n);
+      expect(await decryptShare(patentOwner)).to.equal(0n);
+    });
+
+    it("Should validate co-owner setup", async function () {
+      await expect(setCoOwners([coOwner1, coOwner1], [3000, 2000], 2)).to.be.revertedWith("Invalid co-owner");
+      await expect(setCoOwners([coOwner1, patentOwner], [3000, 2000], 2)).to.be.revertedWith("Invalid co-owner");
+      await expect(setCoOwners([coOwner1, coOwner2], [3000, 2000], 4)).to.be.revertedWith("Invalid threshold");
+      await expect(setCoOwners([], [], 1)).to.be.revertedWith("Invalid co-owners");
+
+      const input = await fhevm.createEncryptedInput(contractAddress, coOwner1.address).add64(3000).encrypt();
+      await expect(
+        contract.connect(coOwner1).setCoOwners(1, [coOwner2.address], input.handles, 1, input.inputProof)
+      ).to.be.revertedWith("Not patent owner");
+
+      await setCoOwners([coOwner1], [3000], 2);
+      await expect(setCoOwners([coOwner2], [2000], 2)).to.be.revertedWith("Co-owners already set");
+    });
+
+    describe("Owner Approvals", function () {
+      beforeEach(async function () {
+        await setCoOwners([coOwner1, coOwner2], [3000, 2000], 2);
+        await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0001);
+      });
+
+      it("Should approve a license once the threshold is met", async function () {
+        await expect(contract.connect(patentOwner).approveLicense(1)).to.emit(contract, "OwnerActionApproved");
+        expect((await contract.licenses(1)).status).to.equal(0); // Pending
+
+        await expect(contract.connect(patentOwner).approveLicense(1)).to.be.revertedWith("Already approved");
+        await expect(contract.connect(bidder1).approveLicense(1)).to.be.revertedWith("Not the licensor");
+
+        await expect(contract.connect(coOwner1).approveLicense(1))
+          .to.emit(contract, "LicenseApproved")
+          .withArgs(1, licensee.address, patentOwner.address);
+      });
+
+      it("Should let co-owners review the proposed terms", async function () {
+        const { encryptedLicenseFee } = await contract.licenses(1);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, encryptedLicenseFee, contractAddress, coOwner2)
+        ).to.equal(ethers.parseEther("1.5"));
+      });
+
+      it("Should start approvals over after a counter-offer", async function () {
+        await contract.connect(coOwner1).approveLicense(1);
+
+        // Licensor counters and the licensee counters back
+        for (const signer of [patentOwner, licensee]) {
+          const input = await fhevm
+            .createEncryptedInput(contractAddress, signer.address)
+            .add64(ethers.parseEther("2.0"))
+            .add64(1000)
+            .add64(0)
+            .add8(0b0001)
+            .encrypt();
+          const terms = {
+            fee: input.handles[0],
+            royaltyRate: input.handles[1],
+            revenueCap: input.handles[2],
+            territoryMask: input.handles[3],
+          };
+          await contract.connect(signer).counterOffer(1, terms, 30, input.inputProof);
+        }
+
+        await contract.connect(coOwner1).approveLicense(1);
+        expect((await contract.licenses(1)).status).to.equal(0); // Pending
+        await contract.connect(coOwner2).approveLicense(1);
+        expect((await contract.licenses(1)).status).to.equal(7); // AwaitingPayment
+      });
+
+      it("Should not activate the owners' counter-offer before the threshold is met", async function () {
+        const input = await fhevm
+          .createEncryptedInput(contractAddress, patentOwner.address)
+          .add64(ethers.parseEther("0.1"))
+          .add64(100)
+          .add64(0)
+          .add8(0b0001)
+          .encrypt();
+        const terms = {
+          fee: input.handles[0],
+          royaltyRate: input.handles[1],
+          revenueCap: input.handles[2],
+          territoryMask: input.handles[3],
+        };
+        await expect(contract.connect(patentOwner).counterOffer(1, terms, 30, input.inputProof)).to.emit(
+          contract,
+          "OwnerActionApproved"
+        );
+
+        await expect(contract.connect(licensee).acceptCounterOffer(1)).to.be.revertedWith("Awaiting owner approvals");
+        await expect(contract.connect(patentOwner).approveLicense(1)).to.be.revertedWith("Awaiting counterparty");
+
+        // A second owner's approval clears the counter-offer for the licensee
+        await contract.connect(coOwner2).approveLicense(1);
+        expect((await contract.licenses(1)).status).to.equal(0); // Pending
+        expect(await contract.ownersApprovedRound(1)).to.equal(2);
+        await expect(contract.connect(licensee).acceptCounterOffer(1)).to.emit(contract, "LicenseApproved");
+      });
+
+      it("Should require the threshold for status changes and bidding", async function () {
+        await contract.connect(coOwner1).updatePatentStatus(1, 1, StatusReason.Other, ""); // Suspended
+        expect((await contract.patents(1)).status).to.equal(0);
+        await expect(contract.connect(coOwner2).updatePatentStatus(1, 1, StatusReason.Other, ""))
+          .to.emit(contract, "PatentStatusChanged")
+          .withArgs(1, 1);
+        await contract.connect(patentOwner).updatePatentStatus(1, 0, StatusReason.None, "");
+        await contract.connect(coOwner1).updatePatentStatus(1, 0, StatusReason.None, "");
+
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        expect(await contract.biddingOpen(1)).to.equal(false);
+        await contract.connect(coOwner2).startConfidentialBidding(1, 24);
+        expect(await contract.biddingOpen(1)).to.equal(true);
+
+        await expect(contract.connect(bidder1).startConfidentialBidding(1, 24)).to.be.revertedWith(
+          "Not patent owner"
+        );
+      });
+
+      it("Should change the threshold with the owners' approval", async function () {
+        await contract.connect(patentOwner).setApprovalThreshold(1, 1);
+        await expect(contract.connect(coOwner2).setApprovalThreshold(1, 1))
+          .to.emit(contract, "ApprovalThresholdUpdated")
+          .withArgs(1, 1);
+
+        await expect(contract.connect(coOwner1).approveLicense(1)).to.emit(contract, "LicenseApproved");
+        await expect(contract.connect(coOwner1).setApprovalThreshold(1, 4)).to.be.revertedWith("Invalid threshold");
+      });
+    });
+
+    describe("Royalty Splits", function () {
+      beforeEach(async function () {
+        await setCoOwners([coOwner1, coOwner2], [3000, 2000], 1);
+        await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 365, false, false, 0b0001);
+        await contract.connect(patentOwner).approveLicense(1);
+        await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+
+        await token.mint(licensee.address, ethers.parseEther("2.0"));
+      });
+
+      it("Should split the license fee by ownership share", async function () {
+        expect(await tokenBalance(token, coOwner1)).to.equal(ethers.parseEther("0.45"));
+        expect(await tokenBalance(token, coOwner2)).to.equal(ethers.parseEther("0.3"));
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("0.75"));
+      });
+
+      it("Should split confidential royalties by ownership share", async function () {
+        const input = await fhevm
+          .createEncryptedInput(contractAddress, licensee.address)
+          .add64(ethers.parseEther("10"))
+          .add64(ethers.parseEther("1.0"))
+          .encrypt();
+        await contract
+          .connect(licensee)
+          .payRoyaltiesConfidential(1, input.handles[0], input.handles[1], 202501, input.inputProof);
+
+        // On top of each owner's share of the 1.5 license fee
+        expect(await tokenBalance(token, coOwner1)).to.equal(ethers.parseEther("0.75"));
+        expect(await tokenBalance(token, coOwner2)).to.equal(ethers.parseEther("0.5"));
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("1.25"));
+
+        const received = await contract.ownerRoyalties(1, coOwner1.address);
+        expect(await fhevm.userDecryptEuint(FhevmType.euint64, received, contractAddress, coOwner1)).to.equal(
+          ethers.parseEther("0.75")
+        );
+        await expect(fhevm.userDecryptEuint(FhevmType.euint64, received, contractAddress, coOwner2)).to.be.rejected;
+      });
+
+      it("Should reject ether royalties on co-owned patents", async function () {
+        await expect(
+          payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") })
+        ).to.be.revertedWith("Co-owned royalties are confidential");
+      });
+    });
+  });
+
+  describe("Patent Transfer", function () {
+    let assignee;
+
+    beforeEach(async function () {
+      assignee = bidder2;
+      await registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 10, "QmTestHash", 255, false);
+
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 365, false, false, 0b0001);
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+    });
+
+    it("Should transfer a patent once the assignee accepts", async function () {
+      await expect(contract.connect(patentOwner).transferPatent(1, assignee.address))
+        .to.emit(contract, "PatentTransferInitiated")
+        .withArgs(1, patentOwner.address, assignee.address);
+      expect(await contract.pendingPatentOwner(1)).to.equal(assignee.address);
+      expect((await contract.patents(1)).patentOwner).to.equal(patentOwner.address);
+
+      await expect(contract.connect(bidder1).acceptPatentTransfer(1)).to.be.revertedWith("Not pending owner");
+      await expect(contract.connect(assignee).acceptPatentTransfer(1))
+        .to.emit(contract, "PatentTransferred")
+        .withArgs(1, patentOwner.address, assignee.address);
+
+      expect((await contract.patents(1)).patentOwner).to.equal(assignee.address);
+      expect(await contract.pendingPatentOwner(1)).to.equal(ethers.ZeroAddress);
+      expect(await contract.getUserPatents(patentOwner.address)).to.deep.equal([]);
+      expect(await contract.getUserPatents(assignee.address)).to.deep.equal([1n]);
+
+      await expect(contract.connect(patentOwner).updatePatentStatus(1, 1, StatusReason.Other, "")).to.be.revertedWith("Not patent owner");
+      await expect(contract.connect(assignee).updatePatentStatus(1, 1, StatusReason.Other, "")).to.emit(contract, "PatentStatusChanged");
+    });
+
+    it("Should let the owner cancel a pending transfer", async function () {
+      await contract.connect(patentOwner).transferPatent(1, assignee.address);
+      await contract.connect(patentOwner).transferPatent(1, ethers.ZeroAddress);
+
+      await expect(contract.connect(assignee).acceptPatentTransfer(1)).to.be.revertedWith("Not pending owner");
+      await expect(contract.connect(patentOwner).transferPatent(1, patentOwner.address)).to.be.revertedWith(
+        "Invalid new owner"
+      );
+      await expect(contract.connect(assignee).transferPatent(1, assignee.address)).to.be.revertedWith(
+        "Not patent owner"
+      );
+    });
+
+    it("Should grant the assignee access to the encrypted patent terms", async function () {
+      await contract.connect(patentOwner).transferPatent(1, assignee.address);
+      await contract.connect(assignee).acceptPatentTransfer(1);
+
+      const { encryptedRoyaltyRate, encryptedMinLicenseFee } = await contract.patents(1);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, encryptedRoyaltyRate, contractAddress, assignee)
+      ).to.equal(1000n);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, encryptedMinLicenseFee, contractAddress, assignee)
+      ).to.equal(ethers.parseEther("1.0"));
+    });
+
+    it("Should redirect existing licenses to the assignee", async function () {
+      await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+      await requestLicense(bidder1, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0010);
+
+      await contract.connect(patentOwner).transferPatent(1, assignee.address);
+      await contract.connect(assignee).acceptPatentTransfer(1);
+
+      const license = await contract.licenses(1);
+      expect(license.licensor).to.equal(assignee.address);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, license.encryptedLicenseFee, contractAddress, assignee)
+      ).to.equal(ethers.parseEther("1.5"));
+      const { totalOwed } = await contract.royaltyBalances(1);
+      expect(await fhevm.userDecryptEuint(FhevmType.euint64, totalOwed, contractAddress, assignee)).to.equal(
+        ethers.parseEther("1.0")
+      );
+
+      // Royalties now flow to the assignee, who also holds the licensor's rights
+      await payRoyalties(licensee, 1, ethers.parseEther("10"), 202502, { value: ethers.parseEther("1.0") });
+      expect(await contract.withdrawableRoyalties(assignee.address)).to.equal(ethers.parseEther("1.0"));
+      await expect(contract.connect(patentOwner).approveLicense(2)).to.be.revertedWith("Not the licensor");
+      await expect(contract.connect(assignee).approveLicense(2)).to.emit(contract, "LicenseApproved");
+    });
+
+    it("Should pass the previous owner's ownership share to the assignee", async function () {
+      const input = await fhevm.createEncryptedInput(contractAddress, patentOwner.address).add64(3000).encrypt();
+      await contract.connect(patentOwner).setCoOwners(1, [bidder1.address], input.handles, 1, input.inputProof);
+
+      await expect(contract.connect(patentOwner).transferPatent(1, bidder1.address)).to.be.revertedWith(
+        "Invalid new owner"
+      );
+      await contract.connect(patentOwner).transferPatent(1, assignee.address);
+      await contract.connect(assignee).acceptPatentTransfer(1);
+
+      const share = await contract.ownershipShares(1, assignee.address);
+      expect(await fhevm.userDecryptEuint(FhevmType.euint64, share, contractAddress, assignee)).to.equal(7000n);
+      expect(await contract.ownershipShares(1, patentOwner.address)).to.equal(ethers.ZeroHash);
+    });
+  });
+
+  describe("Confidential Bidding", function () {
+    beforeEach(async function () {
+      await registerPatent(
+        patentOwner,
+        1000,
+        ethers.parseEther("1.0"),
+        180,
+        10,
+        "QmTestHash",
+        255,
+        true
+      );
+
+      // Bids are escrowed in the settlement token
+      for (const bidder of [bidder1, bidder2, licensee]) {
+        await token.mint(bidder.address, ethers.parseEther("10"));
+        await token.connect(bidder).setOperator(contractAddress, OPERATOR_UNTIL);
+      }
+    });
+
+    async function pendingRefund(signer) {
+      const handle = await contract.pendingRefunds(signer.address, await token.getAddress());
+      return fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, signer);
+    }
+
+    it("Should start confidential bidding", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+
+      expect(await contract.biddingOpen(1)).to.equal(true);
+      expect(await contract.isBiddingActive(1)).to.equal(true);
+    });
+
+    it("Should only allow patent owner to start bidding", async function () {
+      await expect(
+        contract.connect(licensee).startConfidentialBidding(1, 24)
+      ).to.be.revertedWith("Not patent owner");
+    });
+
+    it("Should reject invalid bidding duration", async function () {
+      await expect(
+        contract.connect(patentOwner).startConfidentialBidding(1, 0)
+      ).to.be.revertedWith("Invalid duration");
+
+      await expect(
+        contract.connect(patentOwner).startConfidentialBidding(1, 169) // Over 1 week
+      ).to.be.revertedWith("Invalid duration");
+    });
+
+    it("Should submit confidential bid", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+
+      await expect(
+        submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"))
+      ).to.emit(contract, "ConfidentialBidSubmitted")
+        .withArgs(1, bidder1.address);
+    });
+
+    it("Should reject bid when bidding not open", async function () {
+      await expect(
+        submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"))
+      ).to.be.revertedWith("Bidding not open");
+    });
+
+    it("Should reject bid after bidding ended", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 1); // 1 hour
+
+      // Advance time past bidding period
+      await time.increase(3601); // 1 hour + 1 second
+
+      await expect(
+        submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"))
+      ).to.be.revertedWith("Bidding ended");
+    });
+
+    it("Should allow multiple bidders", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+
+      await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+      await submitConfidentialBid(bidder2, 1, ethers.parseEther("2.5"));
+
+      // Both bids should be recorded
+      const bidders = await contract.bidders(1, 0);
+      expect(bidders).to.equal(bidder1.address);
+    });
+
+    it("Should reject finalizing before bidding ends", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+
+      await expect(contract.connect(patentOwner).finalizeBidding(1)).to.be.revertedWith("Bidding still active");
+    });
+
+    it("Should award the exclusive license to the highest bidder", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+
+      await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+      await submitConfidentialBid(bidder2, 1, ethers.parseEther("2.5"));
+      await submitConfidentialBid(licensee, 1, ethers.parseEther("1.5"));
+
+      await time.increase(24 * 3600);
+      await expect(contract.connect(patentOwner).finalizeBidding(1)).to.emit(contract, "BiddingFinalized");
+      expect(await contract.winnerRevealPending(1)).to.equal(true);
+
+      await fhevm.awaitDecryptionOracle();
+
+      const license = await contract.licenses(1);
+      expect(license.licensee).to.equal(bidder2.address);
+      expect(license.licensor).to.equal(patentOwner.address);
+      expect(license.isExclusive).to.equal(true);
+      expect(license.status).to.equal(1); // Active
+      expect(await contract.winnerRevealPending(1)).to.equal(false);
+
+      const fee = await fhevm.userDecryptEuint(FhevmType.euint64, license.encryptedLicenseFee, contractAddress, bidder2);
+      expect(fee).to.equal(ethers.parseEther("2.5"));
+    });
+
+    it("Should run the awarded license for the patent's exclusivity period", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+      await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+
+      await time.increase(24 * 3600);
+      await contract.connect(patentOwner).finalizeBidding(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const license = await contract.licenses(1);
+      expect(license.endTime - license.startTime).to.equal(180n * 24n * 3600n);
+      expect(await contract.licenseTermLength(1)).to.equal(180n * 24n * 3600n);
+    });
+
+    it("Should not start an auction during an exclusive term", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+      await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+      await time.increase(24 * 3600);
+      await contract.connect(patentOwner).finalizeBidding(1);
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(contract.connect(patentOwner).startConfidentialBidding(1, 24)).to.be.revertedWith(
+        "Exclusive license active"
+      );
+
+      await time.increase(180 * 24 * 3600);
+      await expect(contract.connect(patentOwner).startConfidentialBidding(1, 24)).to.not.be.reverted;
+    });
+
+    it("Should use a bidder's latest bid", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+
+      await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+      await submitConfidentialBid(bidder2, 1, ethers.parseEther("2.5"));
+      await submitConfidentialBid(bidder1, 1, ethers.parseEther("3.0"));
+
+      await time.increase(24 * 3600);
+      await contract.connect(patentOwner).finalizeBidding(1);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await contract.licenses(1)).licensee).to.equal(bidder1.address);
+    });
+
+    it("Should award ties to the earliest bidder", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+
+      await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+      await submitConfidentialBid(bidder2, 1, ethers.parseEther("2.0"));
+
+      await time.increase(24 * 3600);
+      await contract.connect(patentOwner).finalizeBidding(1);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await contract.licenses(1)).licensee).to.equal(bidder1.address);
+    });
+
+    it("Should ignore bids below the encrypted reserve price", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+
+      await submitConfidentialBid(bidder1, 1, ethers.parseEther("0.9")); // Below the 1.0 reserve
+      await submitConfidentialBid(bidder2, 1, ethers.parseEther("1.0"));
+
+      await time.increase(24 * 3600);
+      await contract.connect(patentOwner).finalizeBidding(1);
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await contract.licenses(1)).licensee).to.equal(bidder2.address);
+    });
+
+    it("Should make no award when no bid clears the reserve", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+
+      await submitConfidentialBid(bidder1, 1, ethers.parseEther("0.5"));
+      await submitConfidentialBid(bidder2, 1, ethers.parseEther("0.99"));
+
+      await time.increase(24 * 3600);
+      await contract.connect(patentOwner).finalizeBidding(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const closed = await contract.queryFilter(contract.filters.BiddingClosedWithoutAward(1));
+      expect(closed.length).to.equal(1);
+      expect(await contract.nextLicenseId()).to.equal(1);
+      expect(await contract.winnerRevealPending(1)).to.equal(false);
+    });
+
+    it("Should close bidding without an award when there are no bids", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 1);
+      await time.increase(3600);
+
+      await expect(contract.connect(patentOwner).finalizeBidding(1))
+        .to.emit(contract, "BiddingFinalized")
+        .withArgs(1, 0, 0);
+
+      expect(await contract.winnerRevealPending(1)).to.equal(false);
+      expect(await contract.nextLicenseId()).to.equal(1);
+    });
+
+    it("Should block a new auction until the winner is revealed", async function () {
+      await contract.connect(patentOwner).startConfidentialBidding(1, 1);
+      await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+      await time.increase(3600);
+      await contract.connect(patentOwner).finalizeBidding(1);
+
+      await expect(contract.connect(patentOwner).startConfidentialBidding(1, 24)).to.be.revertedWith(
+        "Winner reveal pending"
+      );
+
+      await fhevm.awaitDecryptionOracle();
+      await time.increase(180 * 24 * 3600); // Past the awarded exclusive term
+      await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+      expect(await contract.isBiddingActive(1)).to.equal(true);
+    });
+
+    it("Should reject callbacks without valid decryption proofs", async function () {
+      const cleartexts = ethers.AbiCoder.defaultAbiCoder().encode(["uint32"], [0]);
+
+      await expect(contract.finalizeBiddingCallback(0, cleartexts, "0x")).to.be.reverted;
+    });
+
+    describe("Bid Escrow", function () {
+      it("Should escrow bids in the settlement token", async function () {
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+
+        expect(await tokenBalance(token, bidder1)).to.equal(ethers.parseEther("8.0"));
+      });
+
+      it("Should not escrow bids below the reserve price", async function () {
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        await submitConfidentialBid(bidder1, 1, ethers.parseEther("0.9"));
+
+        expect(await tokenBalance(token, bidder1)).to.equal(ethers.parseEther("10"));
+      });
+
+      it("Should reject bids without a settlement token", async function () {
+        await adminAction("setSettlementToken", ethers.ZeroAddress);
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+
+        await expect(submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"))).to.be.revertedWith(
+          "Settlement token not set"
+        );
+      });
+
+      it("Should pay the winning bid to the patent owner and release other deposits", async function () {
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+        await submitConfidentialBid(bidder2, 1, ethers.parseEther("2.5"));
+        await submitConfidentialBid(bidder1, 1, ethers.parseEther("3.0"));
+
+        await time.increase(24 * 3600);
+        await contract.connect(patentOwner).finalizeBidding(1);
+        await fhevm.awaitDecryptionOracle();
+
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("3.0"));
+        const feePaid = await contract.paidLicenseFees(1);
+        expect(await fhevm.userDecryptEuint(FhevmType.euint64, feePaid, contractAddress, bidder1)).to.equal(
+          ethers.parseEther("3.0")
+        );
+
+        // The winner gets back their earlier 2.0 bid, the loser their whole deposit
+        expect(await pendingRefund(bidder1)).to.equal(ethers.parseEther("2.0"));
+        expect(await pendingRefund(bidder2)).to.equal(ethers.parseEther("2.5"));
+      });
+
+      it("Should not let an unfunded bid win", async function () {
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+        await submitConfidentialBid(bidder2, 1, ethers.parseEther("12.0")); // More than bidder2 holds
+
+        await time.increase(24 * 3600);
+        await contract.connect(patentOwner).finalizeBidding(1);
+        await fhevm.awaitDecryptionOracle();
+
+        expect((await contract.licenses(1)).licensee).to.equal(bidder1.address);
+        expect(await tokenBalance(token, bidder2)).to.equal(ethers.parseEther("10"));
+      });
+
+      it("Should let bidders withdraw released deposits once", async function () {
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+        await submitConfidentialBid(bidder2, 1, ethers.parseEther("2.5"));
+
+        await time.increase(24 * 3600);
+        await contract.connect(patentOwner).finalizeBidding(1);
+        await fhevm.awaitDecryptionOracle();
+
+        const tokenAddress = await token.getAddress();
+        await expect(contract.connect(bidder1).withdrawRefund(tokenAddress))
+          .to.emit(contract, "RefundWithdrawn")
+          .withArgs(bidder1.address, tokenAddress);
+        expect(await tokenBalance(token, bidder1)).to.equal(ethers.parseEther("10"));
+        expect(await pendingRefund(bidder1)).to.equal(0n);
+
+        // The balance only drops by what was transferred, so a second withdrawal moves nothing
+        await contract.connect(bidder1).withdrawRefund(tokenAddress);
+        expect(await tokenBalance(token, bidder1)).to.equal(ethers.parseEther("10"));
+        await expect(contract.connect(licensee).withdrawRefund(tokenAddress)).to.be.revertedWith(
+          "No refund available"
+        );
+      });
+
+      it("Should block replacing the settlement token while bids are escrowed", async function () {
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+        await submitConfidentialBid(bidder2, 1, ethers.parseEther("2.5"));
+        expect(await contract.openEscrows()).to.equal(1);
+
+        await expect(adminAction("setSettlementToken", ethers.ZeroAddress)).to.be.revertedWith("Escrow outstanding");
+
+        await time.increase(24 * 3600);
+        await contract.connect(patentOwner).finalizeBidding(1);
+        await fhevm.awaitDecryptionOracle();
+        expect(await contract.openEscrows()).to.equal(0);
+
+        // Refunds stay payable in the token the deposits were escrowed in
+        await contract.connect(owner).setSettlementToken(ethers.ZeroAddress);
+        await contract.connect(bidder1).withdrawRefund(await token.getAddress());
+        expect(await tokenBalance(token, bidder1)).to.equal(ethers.parseEther("10"));
+      });
+
+      it("Should refund every bidder when the winner reveal times out", async function () {
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+        await submitConfidentialBid(bidder2, 1, ethers.parseEther("2.5"));
+
+        await time.increase(24 * 3600);
+        await expect(contract.connect(bidder1).cancelBidding(1)).to.be.revertedWith("No reveal pending");
+        await contract.connect(patentOwner).finalizeBidding(1);
+        const [finalized] = await contract.queryFilter(contract.filters.BiddingFinalized(1));
+        const requestId = finalized.args.requestId;
+
+        await expect(contract.connect(bidder1).cancelBidding(1)).to.be.revertedWith("Reveal not timed out");
+        await time.increase(await contract.DECRYPTION_TIMEOUT());
+        await expect(contract.connect(bidder1).cancelBidding(1))
+          .to.emit(contract, "BiddingCancelled")
+          .withArgs(1, requestId);
+
+        expect(await contract.winnerRevealPending(1)).to.equal(false);
+        expect(await contract.openEscrows()).to.equal(0);
+        expect(await pendingRefund(bidder1)).to.equal(ethers.parseEther("2.0"));
+        expect(await pendingRefund(bidder2)).to.equal(ethers.parseEther("2.5"));
+
+        // A late reveal is rejected and awards no license
+        await expect(fhevm.awaitDecryptionOracle()).to.be.revertedWith("Unknown reveal request");
+        expect(await contract.nextLicenseId()).to.equal(1);
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        expect(await contract.isBiddingActive(1)).to.equal(true);
+      });
+
+      it("Should refund every bidder when no bid clears the reserve", async function () {
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        await submitConfidentialBid(bidder1, 1, ethers.parseEther("0.5"));
+
+        await time.increase(24 * 3600);
+        await contract.connect(patentOwner).finalizeBidding(1);
+        await fhevm.awaitDecryptionOracle();
+
+        expect(await pendingRefund(bidder1)).to.equal(0n); // Under-reserve bids are never escrowed
+        expect(await token.confidentialBalanceOf(patentOwner.address)).to.equal(ethers.ZeroHash);
+      });
+
+      it("Should refund the winner when the patent expires before the reveal", async function () {
+        await contract.connect(patentOwner).startConfidentialBidding(1, 24);
+        await submitConfidentialBid(bidder1, 1, ethers.parseEther("2.0"));
+
+        await time.increase(10 * 365 * 24 * 3600);
+        await contract.connect(patentOwner).finalizeBidding(1);
+        await fhevm.awaitDecryptionOracle();
+
+        const closed = await contract.queryFilter(contract.filters.BiddingClosedWithoutAward(1));
+        expect(closed.length).to.equal(1);
+        expect(await contract.nextLicenseId()).to.equal(1);
+        expect(await pendingRefund(bidder1)).to.equal(ethers.parseEther("2.0"));
+      });
+    });
+  });
+
+  describe("Royalty Payments", function () {
+    beforeEach(async function () {
+      await registerPatent(
+        patentOwner,
+        1000,
+        ethers.parseEther("1.0"),
+        180,
+        10,
+        "QmTestHash",
+        255,
+        true
+      );
+
+      await requestLicense(
+        licensee,
+        1,
+        ethers.parseEther("1.5"),
+        1000,
+        ethers.parseEther("18"),
+        365,
+        false,
+        true,
+        255
+      );
+
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+    });
+
+    it("Should pay royalties successfully", async function () {
+      const reportedRevenue = ethers.parseEther("10");
+      const paymentAmount = ethers.parseEther("1.0");
+
+      await expect(
+        payRoyalties(
+          licensee,
+          1,
+          reportedRevenue,
+          202501,
+          { value: paymentAmount }
+        )
+      ).to.emit(contract, "RoyaltyPaid")
+        .withArgs(1, licensee.address, 202501);
+
+      const paymentCount = await contract.getRoyaltyPaymentCount(1);
+      expect(paymentCount).to.equal(1);
+    });
+
+    it("Should only allow licensee to pay royalties", async function () {
+      await expect(
+        payRoyalties(
+          bidder1,
+          1,
+          ethers.parseEther("10"),
+          202501,
+          { value: ethers.parseEther("1.0") }
+        )
+      ).to.be.revertedWith("Not the licensee");
+    });
+
+    it("Should reject payment for inactive license", async function () {
+      // Suspend the license
+      await contract.connect(patentOwner).updateLicenseStatus(1, 2, StatusReason.NonPayment, ""); // Suspended
+
+      await expect(
+        payRoyalties(
+          licensee,
+          1,
+          ethers.parseEther("10"),
+          202501,
+          { value: ethers.parseEther("1.0") }
+        )
+      ).to.be.revertedWith("License not active");
+    });
+
+    it("Should credit payment to licensor", async function () {
+      const paymentAmount = ethers.parseEther("1.0");
+
+      const payment = payRoyalties(
+        licensee,
+        1,
+        ethers.parseEther("10"),
+        202501,
+        { value: paymentAmount }
+      );
+
+      await expect(payment).to.changeEtherBalances([licensee, contract], [-paymentAmount, paymentAmount]);
+      expect(await contract.withdrawableRoyalties(patentOwner.address)).to.equal(paymentAmount);
+    });
+
+    describe("Royalty Withdrawals", function () {
+      it("Should let the licensor withdraw credited royalties", async function () {
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+        await payRoyalties(licensee, 1, ethers.parseEther("5"), 202502, { value: ethers.parseEther("0.5") });
+        expect(await contract.totalWithdrawable()).to.equal(ethers.parseEther("1.5"));
+
+        const withdrawal = contract.connect(patentOwner).withdrawRoyalties();
+        await expect(withdrawal)
+          .to.emit(contract, "RoyaltiesWithdrawn")
+          .withArgs(patentOwner.address, ethers.parseEther("1.5"));
+        await expect(withdrawal).to.changeEtherBalances(
+          [contract, patentOwner],
+          [-ethers.parseEther("1.5"), ethers.parseEther("1.5")]
+        );
+
+        expect(await contract.withdrawableRoyalties(patentOwner.address)).to.equal(0);
+        expect(await contract.totalWithdrawable()).to.equal(0);
+        await expect(contract.connect(patentOwner).withdrawRoyalties()).to.be.revertedWith("No royalties to withdraw");
+      });
+
+      describe("Contract Licensors", function () {
+        let wallet;
+        let walletAddress;
+
+        beforeEach(async function () {
+          const MockLicensorWallet = await ethers.getContractFactory("MockLicensorWallet");
+          wallet = await MockLicensorWallet.deploy();
+          walletAddress = await wallet.getAddress();
+
+          await contract.connect(patentOwner).transferPatent(1, walletAddress);
+          await wallet.execute(contractAddress, contract.interface.encodeFunctionData("acceptPatentTransfer", [1]));
+          await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+        });
+
+        it("Should accept payments for and pay out to a contract licensor", async function () {
+          expect(await contract.withdrawableRoyalties(walletAddress)).to.equal(ethers.parseEther("1.0"));
+
+          await wallet.execute(contractAddress, contract.interface.encodeFunctionData("withdrawRoyalties"));
+          expect(await wallet.received()).to.equal(ethers.parseEther("1.0"));
+        });
+
+        it("Should block re-entrant withdrawals", async function () {
+          await wallet.setCallback(contract.interface.encodeFunctionData("withdrawRoyalties"));
+
+          await expect(
+            wallet.execute(contractAddress, contract.interface.encodeFunctionData("withdrawRoyalties"))
+          ).to.be.revertedWith("Withdrawal failed");
+          expect(await contract.withdrawableRoyalties(walletAddress)).to.equal(ethers.parseEther("1.0"));
+        });
+      });
+    });
+
+    describe("Royalty Accrual", function () {
+      async function decryptBalance(field, signer) {
+        const balance = await contract.royaltyBalances(1);
+        return fhevm.userDecryptEuint(FhevmType.euint64, balance[field], contractAddress, signer);
+      }
+
+      it("Should compute the expected royalty on-chain", async function () {
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+
+        const payment = await contract.royaltyPayments(1, 0);
+        const expected = await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          payment.encryptedExpectedRoyalty,
+          contractAddress,
+          licensee
+        );
+        expect(expected).to.equal(ethers.parseEther("1.0")); // 10% of 10 ETH
+      });
+
+      it("Should round the expected royalty down without losing precision", async function () {
+        await payRoyalties(licensee, 1, 12345n, 202501);
+
+        const payment = await contract.royaltyPayments(1, 0);
+        const expected = await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          payment.encryptedExpectedRoyalty,
+          contractAddress,
+          patentOwner
+        );
+        expect(expected).to.equal(1234n);
+      });
+
+      it("Should track arrears across payments", async function () {
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("0.4") });
+
+        expect(await decryptBalance("arrears", patentOwner)).to.equal(ethers.parseEther("0.6"));
+        expect(await decryptBalance("arrears", licensee)).to.equal(ethers.parseEther("0.6"));
+
+        await payRoyalties(licensee, 1, ethers.parseEther("5"), 202502, { value: ethers.parseEther("1.1") });
+
+        expect(await decryptBalance("totalOwed", licensee)).to.equal(ethers.parseEther("1.5"));
+        expect(await decryptBalance("totalPaid", licensee)).to.equal(ethers.parseEther("1.5"));
+        expect(await decryptBalance("arrears", licensee)).to.equal(0n);
+      });
+
+      it("Should stop accruing royalties once the revenue cap is reached", async function () {
+        // License 2 caps royalty-bearing revenue at 6 ETH
+        await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, ethers.parseEther("6"), 365, false, true, 255);
+        await contract.connect(patentOwner).approveLicense(2);
+        await settleLicenseFee(licensee, 2, ethers.parseEther("1.5"));
+
+        const expectedRoyalty = async (index) => {
+          const payment = await contract.royaltyPayments(2, index);
+          return fhevm.userDecryptEuint(FhevmType.euint64, payment.encryptedExpectedRoyalty, contractAddress, licensee);
+        };
+
+        await payRoyalties(licensee, 2, ethers.parseEther("4"), 202501);
+        await payRoyalties(licensee, 2, ethers.parseEther("4"), 202502);
+        await payRoyalties(licensee, 2, ethers.parseEther("4"), 202503);
+
+        expect(await expectedRoyalty(0)).to.equal(ethers.parseEther("0.4"));
+        expect(await expectedRoyalty(1)).to.equal(ethers.parseEther("0.2")); // Only 2 ETH left under the cap
+        expect(await expectedRoyalty(2)).to.equal(0n);
+
+        const balance = await contract.royaltyBalances(2);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, balance.cumulativeRevenue, contractAddress, patentOwner)
+        ).to.equal(ethers.parseEther("12"));
+        expect(await fhevm.userDecryptEbool(balance.capReached, contractAddress, patentOwner)).to.equal(true);
+      });
+
+      it("Should treat a zero revenue cap as uncapped", async function () {
+        await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 365, false, true, 255);
+        await contract.connect(patentOwner).approveLicense(2);
+        await settleLicenseFee(licensee, 2, ethers.parseEther("1.5"));
+
+        await payRoyalties(licensee, 2, ethers.parseEther("18"), 202501);
+
+        const payment = await contract.royaltyPayments(2, 0);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, payment.encryptedExpectedRoyalty, contractAddress, licensee)
+        ).to.equal(ethers.parseEther("1.8"));
+
+        const balance = await contract.royaltyBalances(2);
+        expect(await fhevm.userDecryptEbool(balance.capReached, contractAddress, licensee)).to.equal(false);
+      });
+
+      it("Should keep the balance private to the license parties", async function () {
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+
+        await expect(decryptBalance("totalOwed", bidder1)).to.be.rejected;
+      });
+    });
+
+    describe("Reporting Schedule", function () {
+      const ReportingCadence = { None: 0, Monthly: 1, Quarterly: 2, Annual: 3 };
+      const QUARTER = 90 * 24 * 60 * 60;
+      const GRACE_PERIOD = 15 * 24 * 60 * 60;
+
+      async function proposeSchedule(signer, cadence, latePenaltyFee, lateInterestRate, licenseId = 1) {
+        const input = await fhevm
+          .createEncryptedInput(contractAddress, signer.address)
+          .add64(latePenaltyFee)
+          .add64(lateInterestRate)
+          .encrypt();
+
+        return contract
+          .connect(signer)
+          .proposeReportingSchedule(
+            licenseId,
+            cadence,
+            GRACE_PERIOD,
+            input.handles[0],
+            input.handles[1],
+            input.inputProof
+          );
+      }
+
+      // The proposal as the licensee reviews it, in the form acceptReportingSchedule takes
+      async function proposedSchedule(licenseId = 1) {
+        return [...(await contract.proposedSchedules(licenseId))];
+      }
+
+      // Quarterly reports, 15 days' grace, a 0.05 ETH late fee and 10% interest per quarter late
+      async function agreeSchedule() {
+        await proposeSchedule(patentOwner, ReportingCadence.Quarterly, ethers.parseEther("0.05"), 1000);
+        return contract.connect(licensee).acceptReportingSchedule(1, await proposedSchedule());
+      }
+
+      async function arrears() {
+        const balance = await contract.royaltyBalances(1);
+        return fhevm.userDecryptEuint(FhevmType.euint64, balance.arrears, contractAddress, licensee);
+      }
+
+      it("Should reject a second report for the same period", async function () {
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+
+        await expect(
+          payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") })
+        ).to.be.revertedWith("Period already reported");
+        expect(await contract.periodReported(1, 202501)).to.equal(true);
+      });
+
+      it("Should apply a schedule once the licensee accepts it", async function () {
+        await expect(proposeSchedule(licensee, ReportingCadence.Quarterly, 0, 0)).to.be.revertedWith(
+          "Not the licensor"
+        );
+        await expect(proposeSchedule(patentOwner, ReportingCadence.Quarterly, 0, 0))
+          .to.emit(contract, "ReportingScheduleProposed")
+          .withArgs(1, ReportingCadence.Quarterly, GRACE_PERIOD);
+        expect((await contract.reportingSchedules(1)).cadence).to.equal(ReportingCadence.None);
+
+        await expect(contract.connect(licensee).acceptReportingSchedule(1, await proposedSchedule()))
+          .to.emit(contract, "ReportingScheduleSet")
+          .withArgs(1, ReportingCadence.Quarterly, GRACE_PERIOD);
+        expect((await contract.reportingSchedules(1)).cadence).to.equal(ReportingCadence.Quarterly);
+        expect((await contract.proposedSchedules(1)).cadence).to.equal(ReportingCadence.None);
+
+        await expect(proposeSchedule(patentOwner, ReportingCadence.Monthly, 0, 0)).to.be.revertedWith(
+          "Schedule already set"
+        );
+      });
+
+      it("Should not accept a proposal replaced after it was read", async function () {
+        await proposeSchedule(patentOwner, ReportingCadence.Annual, 0, 0);
+        const reviewed = await proposedSchedule();
+        await proposeSchedule(patentOwner, ReportingCadence.Monthly, 0, 0);
+
+        await expect(contract.connect(licensee).acceptReportingSchedule(1, reviewed)).to.be.revertedWith(
+          "Schedule changed"
+        );
+      });
+
+      it("Should keep the late penalty terms private to the license parties", async function () {
+        await agreeSchedule();
+
+        const schedule = await contract.reportingSchedules(1);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, schedule.latePenaltyFee, contractAddress, licensee)
+        ).to.equal(ethers.parseEther("0.05"));
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, schedule.lateInterestRate, contractAddress, patentOwner)
+        ).to.equal(1000n);
+        await expect(
+          fhevm.userDecryptEuint(FhevmType.euint64, schedule.latePenaltyFee, contractAddress, bidder1)
+        ).to.be.rejected;
+      });
+
+      it("Should only accept reports for periods that have ended", async function () {
+        await agreeSchedule();
+
+        await expect(payRoyalties(licensee, 1, ethers.parseEther("10"), 1)).to.be.revertedWith(
+          "Reporting period not ended"
+        );
+        await expect(payRoyalties(licensee, 1, ethers.parseEther("10"), 0)).to.be.revertedWith(
+          "Invalid reporting period"
+        );
+
+        await time.increase(QUARTER);
+        await expect(payRoyalties(licensee, 1, ethers.parseEther("10"), 1, { value: ethers.parseEther("1.0") }))
+          .to.emit(contract, "RoyaltyPaid")
+          .withArgs(1, licensee.address, 1);
+        expect(await arrears()).to.equal(0n);
+      });
+
+      it("Should list overdue periods", async function () {
+        await agreeSchedule();
+        expect(await contract.getOverduePeriods(1)).to.deep.equal([]);
+
+        await time.increase(2 * QUARTER + GRACE_PERIOD + 1);
+        expect(await contract.getOverduePeriods(1)).to.deep.equal([1n, 2n]);
+
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 1);
+        expect(await contract.getOverduePeriods(1)).to.deep.equal([2n]);
+      });
+
+      it("Should add the late penalty to the amount due", async function () {
+        await agreeSchedule();
+        await time.increase(QUARTER + GRACE_PERIOD + 24 * 60 * 60);
+
+        // One quarter late: 0.05 ETH plus 10% of the 1 ETH royalty
+        await expect(payRoyalties(licensee, 1, ethers.parseEther("10"), 1, { value: ethers.parseEther("1.0") }))
+          .to.emit(contract, "LatePenaltyCharged")
+          .withArgs(1, 1, 1);
+
+        const penalty = await contract.latePenalties(1, 1);
+        expect(await fhevm.userDecryptEuint(FhevmType.euint64, penalty, contractAddress, patentOwner)).to.equal(
+          ethers.parseEther("0.15")
+        );
+        expect(await arrears()).to.equal(ethers.parseEther("0.15"));
+      });
+
+      it("Should charge interest for each period a report is late", async function () {
+        await agreeSchedule();
+        await time.increase(3 * QUARTER + GRACE_PERIOD + 24 * 60 * 60);
+
+        await expect(payRoyalties(licensee, 1, ethers.parseEther("10"), 1, { value: ethers.parseEther("1.0") }))
+          .to.emit(contract, "LatePenaltyCharged")
+          .withArgs(1, 1, 3);
+        expect(await arrears()).to.equal(ethers.parseEther("0.35"));
+      });
+
+      it("Should accept reports for periods that started within the term after it ends", async function () {
+        await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 365, false, false, 255);
+        await contract.connect(patentOwner).approveLicense(2);
+        await settleLicenseFee(licensee, 2, ethers.parseEther("1.5"));
+        await proposeSchedule(patentOwner, ReportingCadence.Annual, 0, 0, 2);
+        await contract.connect(licensee).acceptReportingSchedule(2, await proposedSchedule(2));
+
+        // The only period of the one-year, non-renewing license ends with the term
+        await time.increase(365 * 24 * 60 * 60 + GRACE_PERIOD + 24 * 60 * 60);
+        expect(await contract.getOverduePeriods(2)).to.deep.equal([1n]);
+        await contract.processExpirations([2]);
+        expect((await contract.licenses(2)).status).to.equal(3); // Expired
+
+        await expect(
+          payRoyalties(licensee, 2, ethers.parseEther("10"), 1, { value: ethers.parseEther("1.0") })
+        ).to.emit(contract, "RoyaltyPaid");
+        expect(await contract.getOverduePeriods(2)).to.deep.equal([]);
+        await expect(
+          payRoyalties(licensee, 2, ethers.parseEther("10"), 2, { value: ethers.parseEther("1.0") })
+        ).to.be.revertedWith("License not active");
+      });
+    });
+
+    describe("Milestones and Minimum Royalties", function () {
+      const MilestoneStatus = { Proposed: 0, Agreed: 1, Triggered: 2, Reached: 3 };
+      const YEAR = 365 * 24 * 60 * 60;
+
+      async function proposeMilestone(signer, description, amount) {
+        const input = await fhevm.createEncryptedInput(contractAddress, signer.address).add64(amount).encrypt();
+        return contract.connect(signer).proposeMilestone(1, description, input.handles[0], input.inputProof);
+      }
+
+      async function proposeMinimum(signer, minimum) {
+        const input = await fhevm.createEncryptedInput(contractAddress, signer.address).add64(minimum).encrypt();
+        return contract.connect(signer).proposeAnnualMinimum(1, input.handles[0], input.inputProof);
+      }
+
+      async function arrears() {
+        const balance = await contract.royaltyBalances(1);
+        return fhevm.userDecryptEuint(FhevmType.euint64, balance.arrears, contractAddress, licensee);
+      }
+
+      it("Should book a confirmed milestone as owed", async function () {
+        await expect(proposeMilestone(licensee, "FDA approval", ethers.parseEther("0.2"))).to.be.revertedWith(
+          "Not the licensor"
+        );
+        await expect(proposeMilestone(patentOwner, "FDA approval", ethers.parseEther("0.2")))
+          .to.emit(contract, "MilestoneProposed")
+          .withArgs(1, 0, "FDA approval");
+        expect(await contract.getMilestoneCount(1)).to.equal(1);
+
+        await expect(contract.connect(licensee).triggerMilestone(1, 0)).to.be.revertedWith("Milestone not agreed");
+        await expect(contract.connect(licensee).acceptMilestone(1, 0))
+          .to.emit(contract, "MilestoneAgreed")
+          .withArgs(1, 0);
+        await expect(contract.connect(licensee).triggerMilestone(1, 0))
+          .to.emit(contract, "MilestoneTriggered")
+          .withArgs(1, 0, licensee.address);
+        await expect(contract.connect(patentOwner).confirmMilestone(1, 0))
+          .to.emit(contract, "MilestoneReached")
+          .withArgs(1, 0);
+
+        expect((await contract.milestones(1, 0)).status).to.equal(MilestoneStatus.Reached);
+        expect(await arrears()).to.equal(ethers.parseEther("0.2"));
+      });
+
+      it("Should need the counterparty to confirm a milestone", async function () {
+        await proposeMilestone(patentOwner, "First commercial sale", ethers.parseEther("0.2"));
+        await contract.connect(licensee).acceptMilestone(1, 0);
+        await contract.connect(patentOwner).triggerMilestone(1, 0);
+
+        await expect(contract.connect(patentOwner).confirmMilestone(1, 0)).to.be.revertedWith(
+          "Awaiting counterparty"
+        );
+        await expect(contract.connect(bidder1).confirmMilestone(1, 0)).to.be.revertedWith("Not a license party");
+        await expect(contract.connect(licensee).confirmMilestone(1, 1)).to.be.revertedWith("Invalid milestone");
+
+        await contract.connect(licensee).confirmMilestone(1, 0);
+        await expect(contract.connect(licensee).confirmMilestone(1, 0)).to.be.revertedWith(
+          "Milestone not triggered"
+        );
+      });
+
+      it("Should keep milestone amounts private to the license parties", async function () {
+        await proposeMilestone(patentOwner, "FDA approval", ethers.parseEther("0.2"));
+
+        const { amount } = await contract.milestones(1, 0);
+        expect(await fhevm.userDecryptEuint(FhevmType.euint64, amount, contractAddress, licensee)).to.equal(
+          ethers.parseEther("0.2")
+        );
+        await expect(fhevm.userDecryptEuint(FhevmType.euint64, amount, contractAddress, bidder1)).to.be.rejected;
+      });
+
+      it("Should not accept a minimum replaced after it was read", async function () {
+        await expect(contract.connect(licensee).acceptAnnualMinimum(1, ethers.ZeroHash)).to.be.revertedWith(
+          "No minimum proposed"
+        );
+        await expect(proposeMinimum(patentOwner, ethers.parseEther("1.5")))
+          .to.emit(contract, "AnnualMinimumProposed")
+          .withArgs(1);
+        const reviewed = await contract.proposedAnnualMinimums(1);
+        await proposeMinimum(patentOwner, ethers.parseEther("3"));
+
+        await expect(contract.connect(licensee).acceptAnnualMinimum(1, reviewed)).to.be.revertedWith(
+          "Minimum changed"
+        );
+        await contract.connect(licensee).acceptAnnualMinimum(1, await contract.proposedAnnualMinimums(1));
+        await expect(proposeMinimum(patentOwner, ethers.parseEther("1"))).to.be.revertedWith("Minimum already set");
+      });
+
+      it("Should top up a license year's royalties to the annual minimum", async function () {
+        await proposeMinimum(patentOwner, ethers.parseEther("1.5"));
+        await expect(
+          contract.connect(licensee).acceptAnnualMinimum(1, await contract.proposedAnnualMinimums(1))
+        ).to.emit(contract, "AnnualMinimumSet");
+
+        // 1 ETH of royalties booked against the 1.5 ETH minimum
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+        expect(await arrears()).to.equal(0n);
+
+        await contract.applyAnnualMinimum(1);
+        expect(await arrears()).to.equal(0n);
+
+        await time.increase(YEAR);
+        await expect(contract.connect(bidder1).applyAnnualMinimum(1))
+          .to.emit(contract, "AnnualMinimumApplied")
+          .withArgs(1, 1);
+
+        const topUps = await contract.minimumTopUps(1);
+        expect(await fhevm.userDecryptEuint(FhevmType.euint64, topUps, contractAddress, patentOwner)).to.equal(
+          ethers.parseEther("0.5")
+        );
+        expect(await arrears()).to.equal(ethers.parseEther("0.5"));
+      });
+
+      describe("With a reporting schedule", function () {
+        const GRACE_PERIOD = 15 * 24 * 60 * 60;
+
+        async function topUps() {
+          const total = await contract.minimumTopUps(1);
+          return fhevm.userDecryptEuint(FhevmType.euint64, total, contractAddress, licensee);
+        }
+
+        // Annual reports with 15 days' grace and no late penalty, and a 1.5 ETH minimum
+        beforeEach(async function () {
+          const input = await fhevm.createEncryptedInput(contractAddress, patentOwner.address).add64(0).add64(0).encrypt();
+          await contract
+            .connect(patentOwner)
+            .proposeReportingSchedule(1, 3, GRACE_PERIOD, input.handles[0], input.handles[1], input.inputProof);
+          await contract.connect(licensee).acceptReportingSchedule(1, [...(await contract.proposedSchedules(1))]);
+
+          await proposeMinimum(patentOwner, ethers.parseEther("1.5"));
+          await contract.connect(licensee).acceptAnnualMinimum(1, await contract.proposedAnnualMinimums(1));
+        });
+
+        it("Should count a report towards the year of its period, not the year it is filed in", async function () {
+          // Year 1's report can only be filed once the year has ended
+          await time.increase(YEAR + 24 * 60 * 60);
+          await payRoyalties(licensee, 1, ethers.parseEther("16"), 1, { value: ethers.parseEther("1.6") });
+
+          // Year 1 closes when its report is due, without a top-up
+          await time.increase(GRACE_PERIOD);
+          await expect(contract.applyAnnualMinimum(1)).to.emit(contract, "AnnualMinimumApplied").withArgs(1, 1);
+          expect(await topUps()).to.equal(0n);
+          expect(await arrears()).to.equal(0n);
+
+          const year1 = await contract.yearRoyalties(1, 1);
+          expect(await fhevm.userDecryptEuint(FhevmType.euint64, year1, contractAddress, licensee)).to.equal(
+            ethers.parseEther("1.6")
+          );
+          expect(await contract.yearRoyalties(1, 2)).to.equal(ethers.ZeroHash);
+        });
+
+        it("Should take a late report off its year's top-up", async function () {
+          await time.increase(YEAR + GRACE_PERIOD + 24 * 60 * 60);
+          await contract.applyAnnualMinimum(1);
+          expect(await topUps()).to.equal(ethers.parseEther("1.5"));
+          expect(await arrears()).to.equal(ethers.parseEther("1.5"));
+
+          await expect(payRoyalties(licensee, 1, ethers.parseEther("10"), 1, { value: ethers.parseEther("1.0") }))
+            .to.emit(contract, "AnnualMinimumCredited")
+            .withArgs(1, 1);
+          expect(await topUps()).to.equal(ethers.parseEther("0.5"));
+          expect(await arrears()).to.equal(ethers.parseEther("0.5"));
+        });
+      });
+    });
+
+    describe("Royalty Tiers", function () {
+      async function proposeTiers(signer, tiers) {
+        const input = fhevm.createEncryptedInput(contractAddress, signer.address);
+        tiers.forEach(([threshold]) => input.add64(threshold));
+        tiers.forEach(([, rate]) => input.add64(rate));
+        const encrypted = await input.encrypt();
+
+        return contract
+          .connect(signer)
+          .proposeRoyaltyTiers(
+            1,
+            encrypted.handles.slice(0, tiers.length),
+            encrypted.handles.slice(tiers.length),
+            encrypted.inputProof
+          );
+      }
+
+      // The proposal as the licensee reviews it, in the form acceptRoyaltyTiers takes
+      async function proposedTiers() {
+        return (await contract.getProposedRoyaltyTiers(1)).map((tier) => [...tier]);
+      }
+
+      async function agreeTiers(tiers) {
+        await proposeTiers(patentOwner, tiers);
+        return contract.connect(licensee).acceptRoyaltyTiers(1, await proposedTiers());
+      }
+
+      async function expectedRoyalty(paymentIndex) {
+        const payment = await contract.royaltyPayments(1, paymentIndex);
+        return fhevm.userDecryptEuint(FhevmType.euint64, payment.encryptedExpectedRoyalty, contractAddress, licensee);
+      }
+
+      it("Should apply tiered rates to cumulative revenue once accepted", async function () {
+        // 10% up to 10 ETH of cumulative revenue, 5% above
+        await expect(proposeTiers(patentOwner, [[ethers.parseEther("10"), 500]]))
+          .to.emit(contract, "RoyaltyTiersProposed")
+          .withArgs(1, 1);
+        await expect(contract.connect(licensee).acceptRoyaltyTiers(1, await proposedTiers()))
+          .to.emit(contract, "RoyaltyTiersSet")
+          .withArgs(1, 1);
+        expect((await contract.getRoyaltyTiers(1)).length).to.equal(1);
+        expect((await contract.getProposedRoyaltyTiers(1)).length).to.equal(0);
+
+        await payRoyalties(licensee, 1, ethers.parseEther("8"), 202501, { value: ethers.parseEther("0.8") });
+        expect(await expectedRoyalty(0)).to.equal(ethers.parseEther("0.8"));
+
+        // 2 ETH at 10% and 6 ETH at 5%
+        await payRoyalties(licensee, 1, ethers.parseEther("8"), 202502, { value: ethers.parseEther("0.5") });
+        expect(await expectedRoyalty(1)).to.equal(ethers.parseEther("0.5"));
+
+        const balance = await contract.royaltyBalances(1);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, balance.arrears, contractAddress, patentOwner)
+        ).to.equal(0n);
+      });
+
+      it("Should raise a threshold below the previous one, leaving its tier empty", async function () {
+        // Thresholds 5, 3 and 12 ETH become 5, 5 and 12 ETH
+        await agreeTiers([
+          [ethers.parseEther("5"), 800],
+          [ethers.parseEther("3"), 200],
+          [ethers.parseEther("12"), 500],
+        ]);
+
+        // 5 ETH at 10%, 7 ETH at 2% and 3 ETH at 5%
+        await payRoyalties(licensee, 1, ethers.parseEther("15"), 202501, { value: ethers.parseEther("0.79") });
+        expect(await expectedRoyalty(0)).to.equal(ethers.parseEther("0.79"));
+      });
+
+      it("Should verify payments against the tiered royalty", async function () {
+        await agreeTiers([[ethers.parseEther("5"), 500]]);
+
+        // 10% of 5 ETH plus 5% of 5 ETH, where the base rate alone would give 1 ETH
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("0.75") });
+        await contract.connect(patentOwner).requestRoyaltyVerification(1, 0);
+        await fhevm.awaitDecryptionOracle();
+
+        const VerificationStatus = { Verified: 2 };
+        expect((await contract.royaltyPayments(1, 0)).verificationStatus).to.equal(VerificationStatus.Verified);
+      });
+
+      it("Should charge late interest on the tiered royalty", async function () {
+        const QUARTER = 90 * 24 * 60 * 60;
+        const input = await fhevm
+          .createEncryptedInput(contractAddress, patentOwner.address)
+          .add64(ethers.parseEther("0.05"))
+          .add64(1000)
+          .encrypt();
+        await contract
+          .connect(patentOwner)
+          .proposeReportingSchedule(1, 2, 0, input.handles[0], input.handles[1], input.inputProof);
+        await contract.connect(licensee).acceptReportingSchedule(1, [...(await contract.proposedSchedules(1))]);
+        await agreeTiers([
+          [ethers.parseEther("4"), 500],
+          [ethers.parseEther("8"), 200],
+          [ethers.parseEther("12"), 100],
+        ]);
+        await time.increase(QUARTER + 24 * 60 * 60);
+
+        // 0.4 + 0.2 + 0.08 + 0.03 ETH, one quarter late: 0.05 ETH plus 10% of it
+        await expect(payRoyalties(licensee, 1, ethers.parseEther("15"), 1, { value: ethers.parseEther("0.71") }))
+          .to.emit(contract, "LatePenaltyCharged")
+          .withArgs(1, 1, 1);
+        expect(await expectedRoyalty(0)).to.equal(ethers.parseEther("0.71"));
+
+        const penalty = await contract.latePenalties(1, 1);
+        expect(await fhevm.userDecryptEuint(FhevmType.euint64, penalty, contractAddress, licensee)).to.equal(
+          ethers.parseEther("0.121")
+        );
+      });
+
+      it("Should not accept tiers replaced after they were read", async function () {
+        await expect(contract.connect(licensee).acceptRoyaltyTiers(1, [])).to.be.revertedWith("No tiers proposed");
+        await expect(proposeTiers(licensee, [[ethers.parseEther("10"), 500]])).to.be.revertedWith(
+          "Not the licensor"
+        );
+        await expect(proposeTiers(patentOwner, [])).to.be.revertedWith("Invalid tiers");
+
+        await proposeTiers(patentOwner, [[ethers.parseEther("10"), 500]]);
+        const reviewed = await proposedTiers();
+        await proposeTiers(patentOwner, [[ethers.parseEther("10"), 900]]);
+
+        await expect(contract.connect(licensee).acceptRoyaltyTiers(1, reviewed)).to.be.revertedWith("Tiers changed");
+        await contract.connect(licensee).acceptRoyaltyTiers(1, await proposedTiers());
+        await expect(proposeTiers(patentOwner, [[ethers.parseEther("10"), 500]])).to.be.revertedWith(
+          "Tiers already set"
+        );
+      });
+
+      it("Should keep thresholds and rates private to the license parties", async function () {
+        await agreeTiers([[ethers.parseEther("10"), 500]]);
+
+        const [tier] = await contract.getRoyaltyTiers(1);
+        expect(await fhevm.userDecryptEuint(FhevmType.euint64, tier.threshold, contractAddress, licensee)).to.equal(
+          ethers.parseEther("10")
+        );
+        expect(await fhevm.userDecryptEuint(FhevmType.euint64, tier.rate, contractAddress, patentOwner)).to.equal(
+          500n
+        );
+        await expect(fhevm.userDecryptEuint(FhevmType.euint64, tier.rate, contractAddress, bidder1)).to.be.rejected;
+      });
+    });
+
+    describe("Royalty Verification", function () {
+      const VerificationStatus = { Unverified: 0, Pending: 1, Verified: 2, Underpaid: 3, Overpaid: 4 };
+
+      async function payAndVerify(paymentAmount) {
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: paymentAmount });
+        await contract.connect(patentOwner).requestRoyaltyVerification(1, 0);
+        await fhevm.awaitDecryptionOracle();
+        return contract.royaltyPayments(1, 0);
+      }
+
+      it("Should request verification and mark the payment pending", async function () {
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+
+        await expect(contract.connect(patentOwner).requestRoyaltyVerification(1, 0)).to.emit(
+          contract,
+          "RoyaltyVerificationRequested"
+        );
+
+        const payment = await contract.royaltyPayments(1, 0);
+        expect(payment.verificationStatus).to.equal(VerificationStatus.Pending);
+
+        await expect(contract.connect(patentOwner).requestRoyaltyVerification(1, 0)).to.be.revertedWith(
+          "Verification pending"
+        );
+      });
+
+      it("Should verify a payment matching the agreed royalty", async function () {
+        const payment = await payAndVerify(ethers.parseEther("1.0")); // 10% of 10 ETH
+
+        expect(payment.isVerified).to.equal(true);
+        expect(payment.verificationStatus).to.equal(VerificationStatus.Verified);
+
+        const verified = await contract.queryFilter(contract.filters.RoyaltyVerified(1, 0));
+        expect(verified.length).to.equal(1);
+        expect(verified[0].args.status).to.equal(VerificationStatus.Verified);
+      });
+
+      it("Should accept payments within the 5% tolerance", async function () {
+        const payment = await payAndVerify(ethers.parseEther("0.96"));
+
+        expect(payment.verificationStatus).to.equal(VerificationStatus.Verified);
+      });
+
+      it("Should classify payments at the tolerance bounds on ciphertexts", async function () {
+        // 0.1 ETH owed each period: exactly at the bounds, then one wei beyond each
+        const amounts = ["0.095", "0.105", "0.094999999999999999", "0.105000000000000001"];
+        for (let i = 0; i < amounts.length; i++) {
+          await payRoyalties(licensee, 1, ethers.parseEther("1"), 202501 + i, { value: ethers.parseEther(amounts[i]) });
+          await contract.connect(patentOwner).requestRoyaltyVerification(1, i);
+        }
+        await fhevm.awaitDecryptionOracle();
+
+        const statuses = [];
+        for (let i = 0; i < amounts.length; i++) {
+          statuses.push((await contract.royaltyPayments(1, i)).verificationStatus);
+        }
+        expect(statuses).to.deep.equal([
+          VerificationStatus.Verified,
+          VerificationStatus.Verified,
+          VerificationStatus.Underpaid,
+          VerificationStatus.Overpaid,
+        ].map(BigInt));
+      });
+
+      it("Should record underpayments", async function () {
+        const payment = await payAndVerify(ethers.parseEther("0.5"));
+
+        expect(payment.isVerified).to.equal(true);
+        expect(payment.verificationStatus).to.equal(VerificationStatus.Underpaid);
+      });
+
+      it("Should record overpayments", async function () {
+        const payment = await payAndVerify(ethers.parseEther("2.0"));
+
+        expect(payment.verificationStatus).to.equal(VerificationStatus.Overpaid);
+      });
+
+      it("Should reject verifying a payment twice", async function () {
+        await payAndVerify(ethers.parseEther("1.0"));
+
+        await expect(contract.connect(patentOwner).requestRoyaltyVerification(1, 0)).to.be.revertedWith(
+          "Already verified"
+        );
+      });
+
+      it("Should only allow the licensor to request verification", async function () {
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+
+        await expect(contract.connect(licensee).requestRoyaltyVerification(1, 0)).to.be.revertedWith(
+          "Not the licensor"
+        );
+        await expect(contract.connect(patentOwner).requestRoyaltyVerification(1, 1)).to.be.revertedWith(
+          "Invalid payment index"
+        );
+      });
+
+      it("Should reject callbacks without valid decryption proofs", async function () {
+        const cleartexts = ethers.AbiCoder.defaultAbiCoder().encode(["uint8"], [VerificationStatus.Verified]);
+
+        await expect(contract.processRoyaltyVerification(0, cleartexts, "0x")).to.be.reverted;
+      });
+    });
+
+    describe("Auditor Access", function () {
+      const AUDIT_PERIOD = 30 * 24 * 60 * 60;
+      let auditor;
+
+      beforeEach(async function () {
+        auditor = bidder1;
+        await adminAction("grantRole", await contract.AUDITOR_ROLE(), auditor.address);
+      });
+
+      async function appointAuditor(period = AUDIT_PERIOD) {
+        await contract.connect(patentOwner).appointAuditor(1, auditor.address, period);
+        return contract.connect(licensee).appointAuditor(1, auditor.address, period);
+      }
+
+      async function auditedRevenue(paymentIndex) {
+        const payment = await contract.royaltyPayments(1, paymentIndex);
+        return fhevm.userDecryptEuint(FhevmType.euint64, payment.encryptedRevenue, contractAddress, auditor);
+      }
+
+      it("Should appoint an auditor once both parties agree and share past reports", async function () {
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+
+        await expect(contract.connect(patentOwner).appointAuditor(1, auditor.address, AUDIT_PERIOD))
+          .to.emit(contract, "AuditorProposed")
+          .withArgs(1, auditor.address, patentOwner.address, AUDIT_PERIOD);
+        // Repeating the proposal from the same side does not confirm it
+        await expect(contract.connect(patentOwner).appointAuditor(1, auditor.address, AUDIT_PERIOD)).to.not.emit(
+          contract,
+          "AuditorAppointed"
+        );
+
+        await expect(contract.connect(licensee).appointAuditor(1, auditor.address, AUDIT_PERIOD))
+          .to.emit(contract, "AuditorAppointed")
+          .and.to.emit(contract, "AuditAccessGranted")
+          .withArgs(1, auditor.address, 0, 1);
+
+        expect(await auditedRevenue(0)).to.equal(ethers.parseEther("10"));
+        const appointment = await contract.licenseAuditors(1);
+        expect(appointment.auditor).to.equal(auditor.address);
+      });
+
+      it("Should only appoint on matching proposals", async function () {
+        await contract.connect(patentOwner).appointAuditor(1, auditor.address, AUDIT_PERIOD);
+
+        await expect(contract.connect(licensee).appointAuditor(1, auditor.address, AUDIT_PERIOD * 2))
+          .to.emit(contract, "AuditorProposed")
+          .and.to.not.emit(contract, "AuditorAppointed");
+        await expect(contract.connect(patentOwner).appointAuditor(1, auditor.address, AUDIT_PERIOD * 2)).to.emit(
+          contract,
+          "AuditorAppointed"
+        );
+      });
+
+      it("Should share new reports until the appointment expires", async function () {
+        await appointAuditor();
+
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+        expect(await auditedRevenue(0)).to.equal(ethers.parseEther("10"));
+
+        await time.increase(AUDIT_PERIOD);
+        await payRoyalties(licensee, 1, ethers.parseEther("5"), 202502, { value: ethers.parseEther("0.5") });
+        await expect(auditedRevenue(1)).to.be.rejected;
+      });
+
+      it("Should let either party revoke the auditor", async function () {
+        await appointAuditor();
+
+        await expect(contract.connect(licensee).revokeAuditor(1))
+          .to.emit(contract, "AuditorRevoked")
+          .withArgs(1, auditor.address, licensee.address);
+
+        await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+        await expect(auditedRevenue(0)).to.be.rejected;
+        await expect(contract.connect(patentOwner).revokeAuditor(1)).to.be.revertedWith("No active auditor");
+      });
+
+      it("Should validate auditor appointments", async function () {
+        await expect(contract.connect(bidder2).appointAuditor(1, auditor.address, AUDIT_PERIOD)).to.be.revertedWith(
+          "Not a license party"
+        );
+        await expect(contract.connect(patentOwner).appointAuditor(1, bidder2.address, AUDIT_PERIOD)).to.be.revertedWith(
+          "Not an auditor"
+        );
+        await expect(contract.connect(patentOwner).appointAuditor(1, auditor.address, 0)).to.be.revertedWith(
+          "Invalid audit period"
+        );
+        await expect(
+          contract.connect(patentOwner).appointAuditor(1, auditor.address, 366 * 24 * 60 * 60)
+        ).to.be.revertedWith("Invalid audit period");
+        await expect(contract.connect(bidder2).revokeAuditor(1)).to.be.revertedWith("Not a license party");
+      });
+    });
+
+    describe("Confidential Token Settlement", function () {
+      let tokenAddress;
+
+      beforeEach(async function () {
+        tokenAddress = await token.getAddress();
+
+        await token.mint(licensee.address, ethers.parseEther("2.0"));
+      });
+
+      async function payRoyaltiesConfidential(signer, licenseId, reportedRevenue, amount, reportingPeriod) {
+        const input = await fhevm
+          .createEncryptedInput(contractAddress, signer.address)
+          .add64(reportedRevenue)
+          .add64(amount)
+          .encrypt();
+
+        return contract
+          .connect(signer)
+          .payRoyaltiesConfidential(licenseId, input.handles[0], input.handles[1], reportingPeriod, input.inputProof);
+      }
+
+      it("Should only allow the owner to set the settlement token", async function () {
+        await expect(contract.connect(patentOwner).setSettlementToken(tokenAddress)).to.be.revertedWith(
+          "Not authorized"
+        );
+        await expect(contract.connect(owner).setSettlementToken(ethers.ZeroAddress)).to.emit(
+          contract,
+          "AdminActionScheduled"
+        );
+        expect(await contract.settlementToken()).to.equal(tokenAddress);
+
+        await time.increase(await contract.ADMIN_DELAY());
+        await expect(contract.connect(owner).setSettlementToken(ethers.ZeroAddress))
+          .to.emit(contract, "SettlementTokenUpdated")
+          .withArgs(ethers.ZeroAddress);
+      });
+
+      it("Should reject token payments without a settlement token", async function () {
+        await adminAction("setSettlementToken", ethers.ZeroAddress);
+        await token.connect(licensee).setOperator(contractAddress, OPERATOR_UNTIL);
+
+        await expect(
+          payRoyaltiesConfidential(licensee, 1, ethers.parseEther("10"), ethers.parseEther("1.0"), 202501)
+        ).to.be.revertedWith("Settlement token not set");
+      });
+
+      it("Should require the contract to be an operator", async function () {
+        await token.connect(licensee).setOperator(contractAddress, 0);
+
+        await expect(
+          payRoyaltiesConfidential(licensee, 1, ethers.parseEther("10"), ethers.parseEther("1.0"), 202501)
+        ).to.be.revertedWith("Not an operator");
+      });
+
+      it("Should settle royalties in the confidential token", async function () {
+        await token.connect(licensee).setOperator(contractAddress, OPERATOR_UNTIL);
+
+        await expect(
+          payRoyaltiesConfidential(licensee, 1, ethers.parseEther("10"), ethers.parseEther("1.0"), 202501)
+        ).to.emit(contract, "RoyaltyPaid")
+          .withArgs(1, licensee.address, 202501);
+
+        // On top of the 1.5 license fee
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("2.5"));
+        expect(await tokenBalance(token, licensee)).to.equal(ethers.parseEther("1.0"));
+
+        const payment = await contract.royaltyPayments(1, 0);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, payment.encryptedAmount, contractAddress, patentOwner)
+        ).to.equal(ethers.parseEther("1.0"));
+
+        const balance = await contract.royaltyBalances(1);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, balance.arrears, contractAddress, licensee)
+        ).to.equal(0n);
+      });
+
+      it("Should record a zero payment when the token balance is insufficient", async function () {
+        await token.connect(licensee).setOperator(contractAddress, OPERATOR_UNTIL);
+
+        await payRoyaltiesConfidential(licensee, 1, ethers.parseEther("10"), ethers.parseEther("3.0"), 202501);
+
+        expect(await tokenBalance(token, licensee)).to.equal(ethers.parseEther("2.0"));
+
+        const balance = await contract.royaltyBalances(1);
+        expect(
+          await fhevm.userDecryptEuint(FhevmType.euint64, balance.arrears, contractAddress, patentOwner)
+        ).to.equal(ethers.parseEther("1.0"));
+      });
+
+      it("Should settle the license fee once", async function () {
+        await expect(contract.connect(licensee).payLicenseFee(1))
+          .to.emit(contract, "LicenseFeePaid")
+          .withArgs(1, licensee.address); // Nothing left to pay after activation
+
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("1.5"));
+        expect(await tokenBalance(token, licensee)).to.equal(ethers.parseEther("2.0"));
+
+        const paid = await contract.paidLicenseFees(1);
+        expect(await fhevm.userDecryptEuint(FhevmType.euint64, paid, contractAddress, licensee)).to.equal(
+          ethers.parseEther("1.5")
+        );
+      });
+
+      it("Should only allow the licensee to pay the license fee", async function () {
+        await expect(contract.connect(bidder1).payLicenseFee(1)).to.be.revertedWith("Not the licensee");
+      });
+    });
+  });
+
+  describe("License Expiry and Renewal", function () {
+    const DAY = 24 * 3600;
+    const LicenseStatus = { Active: 1, Expired: 3 };
+
+    beforeEach(async function () {
+      await registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 10, "QmTestHash", 255, true);
+
+      // License 1 ends after 30 days, license 2 renews every 30 days
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 255);
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, true, 255);
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+      await contract.connect(patentOwner).approveLicense(2);
+      await settleLicenseFee(licensee, 2, ethers.parseEther("1.5"));
+    });
+
+    it("Should report expired licenses before they are processed", async function () {
+      expect(await contract.getEffectiveLicenseStatus(1)).to.equal(LicenseStatus.Active);
+
+      await time.increase(30 * DAY);
+
+      expect(await contract.getEffectiveLicenseStatus(1)).to.equal(LicenseStatus.Expired);
+      expect(await contract.getEffectiveLicenseStatus(2)).to.equal(LicenseStatus.Active);
+      expect((await contract.licenses(1)).status).to.equal(LicenseStatus.Active);
+    });
+
+    it("Should reject royalty payments after the license has expired", async function () {
+      await time.increase(30 * DAY);
+
+      await expect(payRoyalties(licensee, 1, ethers.parseEther("10"), 202501)).to.be.revertedWith(
+        "License expired"
+      );
+    });
+
+    it("Should renew an auto-renewing license when paying after its end time", async function () {
+      const { endTime } = await contract.licenses(2);
+      await time.increase(30 * DAY);
+
+      await expect(payRoyalties(licensee, 2, ethers.parseEther("10"), 202501))
+        .to.emit(contract, "LicenseRenewed")
+        .withArgs(2, endTime + BigInt(30 * DAY));
+    });
+
+    it("Should process a batch of expirations", async function () {
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 365, false, false, 255);
+      await contract.connect(patentOwner).approveLicense(3);
+      await settleLicenseFee(licensee, 3, ethers.parseEther("1.5"));
+      const { endTime } = await contract.licenses(2);
+
+      await time.increase(30 * DAY);
+
+      expect(await contract.processExpirations.staticCall([1, 2, 3, 99])).to.equal(2);
+      await expect(contract.connect(bidder1).processExpirations([1, 2, 3, 99]))
+        .to.emit(contract, "LicenseStatusChanged")
+        .withArgs(1, LicenseStatus.Expired);
+
+      expect((await contract.licenses(1)).status).to.equal(LicenseStatus.Expired);
+      expect((await contract.licenses(2)).endTime).to.equal(endTime + BigInt(30 * DAY));
+      expect((await contract.licenses(3)).status).to.equal(LicenseStatus.Active);
+    });
+
+    it("Should renew by whole terms until the license is current", async function () {
+      const { endTime } = await contract.licenses(2);
+
+      await expect(contract.connect(bidder1).renew(2)).to.be.revertedWith("Not due for renewal");
+
+      // 75 days after approval, two more 30-day terms are needed
+      await time.increase(75 * DAY);
+      await contract.connect(bidder1).renew(2);
+
+      expect((await contract.licenses(2)).endTime).to.equal(endTime + BigInt(60 * DAY));
+    });
+
+    it("Should only renew licenses with auto-renewal enabled", async function () {
+      await time.increase(30 * DAY);
+
+      await expect(contract.renew(1)).to.be.revertedWith("Auto-renewal disabled");
+    });
+  });
+
+  describe("Patent Expiry and Renewal", function () {
+    const YEAR = 365 * 24 * 3600;
+    const PatentStatus = { Active: 0, Expired: 2 };
+    const LicenseStatus = { Expired: 3 };
+
+    beforeEach(async function () {
+      // Patent 1 is valid for one year
+      await registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 1, "QmTestHash", 255, true);
+    });
+
+    it("Should reject license requests and auctions once the patent has expired", async function () {
+      await time.increase(YEAR);
+
+      await expect(
+        requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 255)
+      ).to.be.revertedWith("Patent expired");
+      await expect(contract.connect(patentOwner).startConfidentialBidding(1, 24)).to.be.revertedWith(
+        "Patent expired"
+      );
+    });
+
+    it("Should report expired patents before they are processed", async function () {
+      expect(await contract.getEffectivePatentStatus(1)).to.equal(PatentStatus.Active);
+
+      await time.increase(YEAR);
+
+      expect(await contract.getEffectivePatentStatus(1)).to.equal(PatentStatus.Expired);
+      expect((await contract.getPatentInfo(1)).status).to.equal(PatentStatus.Active);
+    });
+
+    it("Should expire the patent and its live licenses when processed", async function () {
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, true, 255);
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 255);
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+
+      await expect(contract.processPatentExpiration(1)).to.be.revertedWith("Patent not expired");
+
+      await time.increase(YEAR);
+
+      await expect(contract.connect(bidder1).processPatentExpiration(1))
+        .to.emit(contract, "PatentStatusChanged")
+        .withArgs(1, PatentStatus.Expired)
+        .and.to.emit(contract, "LicenseStatusChanged")
+        .withArgs(2, LicenseStatus.Expired);
+
+      expect((await contract.licenses(1)).status).to.equal(LicenseStatus.Expired);
+      expect((await contract.licenses(2)).status).to.equal(LicenseStatus.Expired);
+      await expect(contract.processPatentExpiration(1)).to.be.revertedWith("Already expired");
+    });
+
+    it("Should stop payments and approvals on an expired patent", async function () {
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 730, false, true, 255);
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 255);
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+
+      await time.increase(YEAR);
+
+      await expect(payRoyalties(licensee, 1, ethers.parseEther("10"), 202501)).to.be.revertedWith("Patent expired");
+      await expect(contract.connect(patentOwner).approveLicense(2)).to.be.revertedWith("Patent expired");
+      expect(await contract.getEffectiveLicenseStatus(1)).to.equal(LicenseStatus.Expired);
+    });
+
+    it("Should renew a patent for the maintenance fee", async function () {
+      const fee = ethers.parseEther("0.01");
+      await adminAction("setMaintenanceFee", fee);
+      const { expirationTime } = await contract.getPatentInfo(1);
+
+      await expect(contract.connect(patentOwner).renewPatent(1, 2, { value: fee })).to.be.revertedWith(
+        "Incorrect maintenance fee"
+      );
+
+      const renewal = contract.connect(patentOwner).renewPatent(1, 2, { value: fee * 2n });
+      await expect(renewal)
+        .to.emit(contract, "PatentRenewed")
+        .withArgs(1, expirationTime + BigInt(2 * YEAR));
+      expect(await contract.withdrawableRoyalties(owner.address)).to.equal(fee * 2n);
+
+      // The renewed patent keeps accepting license requests past its original expiration
+      await time.increase(YEAR);
+      await expect(requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 255)).to.emit(
+        contract,
+        "LicenseRequested"
+      );
+    });
+
+    it("Should cap renewals at twenty years from registration", async function () {
+      await expect(contract.connect(patentOwner).renewPatent(1, 20)).to.be.revertedWith("Exceeds maximum term");
+      await expect(contract.connect(bidder1).renewPatent(1, 1)).to.be.revertedWith("Not patent owner");
+
+      await contract.connect(patentOwner).renewPatent(1, 19);
+      await expect(contract.connect(patentOwner).renewPatent(1, 1)).to.be.revertedWith("Exceeds maximum term");
+    });
+
+    it("Should not renew or reactivate an expired patent", async function () {
+      await time.increase(YEAR);
+
+      await expect(contract.connect(patentOwner).renewPatent(1, 1)).to.be.revertedWith("Patent expired");
+      await expect(contract.connect(owner).emergencyResume(1)).to.be.revertedWith("Patent expired");
+      await expect(contract.connect(patentOwner).updatePatentStatus(1, PatentStatus.Active, StatusReason.None, "")).to.be.revertedWith(
+        "Patent expired"
+      );
+    });
+  });
+
+  describe("Patent Status Management", function () {
+    beforeEach(async function () {
+      await registerPatent(
+        patentOwner,
+        1000,
+        ethers.parseEther("1.0"),
+        180,
+        10,
+        "QmTestHash",
+        255,
+        true
+      );
+    });
+
+    it("Should update patent status", async function () {
+      await expect(
+        contract.connect(patentOwner).updatePatentStatus(1, 1, StatusReason.Other, "Under re-examination") // Suspended
+      ).to.emit(contract, "PatentStatusChanged")
+        .withArgs(1, 1)
+        .and.to.emit(contract, "PatentStatusNoted")
+        .withArgs(1, 1, StatusReason.Other, "Under re-examination");
+
+      const info = await contract.getPatentInfo(1);
+      expect(info.status).to.equal(1);
+      expect(await contract.patentStatusReasons(1)).to.equal(StatusReason.Other);
+    });
+
+    it("Should only allow patent owner to update status", async function () {
+      await expect(
+        contract.connect(licensee).updatePatentStatus(1, 1, StatusReason.Other, "")
+      ).to.be.revertedWith("Not patent owner");
+    });
+
+    it("Should only allow suspension and reactivation with a reason to suspend", async function () {
+      await expect(
+        contract.connect(patentOwner).updatePatentStatus(1, 1, StatusReason.None, "")
+      ).to.be.revertedWith("Reason required");
+      await expect(
+        contract.connect(patentOwner).updatePatentStatus(1, 0, StatusReason.None, "")
+      ).to.be.revertedWith("Invalid status transition");
+      await expect(
+        contract.connect(patentOwner).updatePatentStatus(1, 2, StatusReason.Other, "") // Expired
+      ).to.be.revertedWith("Invalid status transition");
+
+      await contract.connect(patentOwner).updatePatentStatus(1, 1, StatusReason.Other, "");
+      await expect(contract.connect(patentOwner).updatePatentStatus(1, 0, StatusReason.None, ""))
+        .to.emit(contract, "PatentStatusChanged")
+        .withArgs(1, 0);
+    });
+  });
+
+  describe("License Status Management", function () {
+    const LicenseStatus = { Pending: 0, Active: 1, Suspended: 2, Expired: 3, Revoked: 4, Withdrawn: 5, Terminated: 6 };
+
+    beforeEach(async function () {
+      await registerPatent(
+        patentOwner,
+        1000,
+        ethers.parseEther("1.0"),
+        180,
+        10,
+        "QmTestHash",
+        255,
+        true
+      );
+
+      await requestLicense(
+        licensee,
+        1,
+        ethers.parseEther("1.5"),
+        1000,
+        ethers.parseEther("18"),
+        365,
+        false,
+        true,
+        255
+      );
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+    });
+
+    it("Should update license status with a reason", async function () {
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Suspended, StatusReason.NonPayment, "Q1 unpaid")
+      ).to.emit(contract, "LicenseStatusChanged")
+        .withArgs(1, LicenseStatus.Suspended)
+        .and.to.emit(contract, "LicenseStatusNoted")
+        .withArgs(1, LicenseStatus.Suspended, StatusReason.NonPayment, "Q1 unpaid");
+      expect(await contract.licenseStatusReasons(1)).to.equal(StatusReason.NonPayment);
+
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Active, StatusReason.None, "Paid")
+      ).to.emit(contract, "LicenseStatusChanged")
+        .withArgs(1, LicenseStatus.Active);
+    });
+
+    it("Should only allow licensor to update status", async function () {
+      await expect(
+        contract.connect(licensee).updateLicenseStatus(1, LicenseStatus.Suspended, StatusReason.Breach, "")
+      ).to.be.revertedWith("Not the licensor");
+    });
+
+    it("Should enforce the transition table", async function () {
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Expired, StatusReason.Other, "")
+      ).to.be.revertedWith("Invalid status transition");
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Active, StatusReason.None, "")
+      ).to.be.revertedWith("Invalid status transition");
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Suspended, StatusReason.None, "")
+      ).to.be.revertedWith("Reason required");
+
+      await revokeLicense(patentOwner, 1);
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Active, StatusReason.None, "")
+      ).to.be.revertedWith("Invalid status transition");
+    });
+
+    it("Should let the licensor decline a pending request", async function () {
+      await requestLicense(bidder1, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 255);
+
+      await expect(
+        contract.connect(bidder1).updateLicenseStatus(2, LicenseStatus.Revoked, StatusReason.Other, "")
+      ).to.be.revertedWith("Not the licensor");
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(2, LicenseStatus.Suspended, StatusReason.Other, "")
+      ).to.be.revertedWith("Invalid status transition");
+
+      // Nothing is in force yet, so the request is declined without a cure period
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(2, LicenseStatus.Revoked, StatusReason.Other, "Declined")
+      )
+        .to.emit(contract, "LicenseStatusChanged")
+        .withArgs(2, LicenseStatus.Revoked)
+        .and.to.not.emit(contract, "RevocationNoticeIssued");
+
+      expect(await contract.getPendingRequests(1)).to.deep.equal([]);
+      await expect(contract.connect(patentOwner).approveLicense(2)).to.be.revertedWith("License not pending");
+    });
+
+    it("Should only revoke after the cure period", async function () {
+      const tx = contract
+        .connect(patentOwner)
+        .updateLicenseStatus(1, LicenseStatus.Revoked, StatusReason.Underreporting, "Audit shortfall");
+      await expect(tx).to.emit(contract, "RevocationNoticeIssued").and.to.not.emit(contract, "LicenseStatusChanged");
+      expect((await contract.licenses(1)).status).to.equal(LicenseStatus.Active);
+
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Revoked, StatusReason.Underreporting, "")
+      ).to.be.revertedWith("Cure period not over");
+
+      await time.increase(await contract.CURE_PERIOD());
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Revoked, StatusReason.Underreporting, "")
+      ).to.emit(contract, "LicenseStatusChanged")
+        .withArgs(1, LicenseStatus.Revoked);
+      expect(await contract.revocationEffectiveAt(1)).to.equal(0);
+    });
+
+    it("Should let the licensor withdraw a revocation notice", async function () {
+      await expect(contract.connect(patentOwner).withdrawRevocationNotice(1)).to.be.revertedWith(
+        "No revocation notice"
+      );
+      await contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Revoked, StatusReason.NonPayment, "");
+
+      await expect(contract.connect(patentOwner).withdrawRevocationNotice(1))
+        .to.emit(contract, "RevocationNoticeWithdrawn")
+        .withArgs(1);
+
+      // A new notice starts a fresh cure period
+      await time.increase(await contract.CURE_PERIOD());
+      await contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Revoked, StatusReason.NonPayment, "");
+      expect((await contract.licenses(1)).status).to.equal(LicenseStatus.Active);
+    });
+
+    it("Should let the licensee terminate their license", async function () {
+      await expect(contract.connect(patentOwner).terminateLicense(1, "")).to.be.revertedWith("Not the licensee");
+
+      await expect(contract.connect(licensee).terminateLicense(1, "No longer needed"))
+        .to.emit(contract, "LicenseStatusChanged")
+        .withArgs(1, LicenseStatus.Terminated)
+        .and.to.emit(contract, "LicenseStatusNoted")
+        .withArgs(1, LicenseStatus.Terminated, StatusReason.None, "No longer needed");
+
+      await expect(contract.connect(licensee).terminateLicense(1, "")).to.be.revertedWith(
+        "Invalid status transition"
+      );
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Suspended, StatusReason.Breach, "")
+      ).to.be.revertedWith("Invalid status transition");
+    });
+  });
+
+  describe("Disputes", function () {
+    const Ruling = { None: 0, Dismissed: 1, Refund: 2, Penalty: 3, Revocation: 4, Reinstatement: 5 };
+    const LicenseStatus = { Active: 1, Suspended: 2, Revoked: 4 };
+    let arbiter;
+
+    beforeEach(async function () {
+      arbiter = bidder1;
+      await adminAction("grantRole", await contract.ARBITER_ROLE(), arbiter.address);
+
+      await registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 10, "QmTestHash", 255, true);
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 365, false, false, 255);
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+    });
+
+    async function resolveDispute(disputeId, ruling, amount) {
+      if (amount === undefined) {
+        return contract.connect(arbiter).resolveDispute(disputeId, ruling, ethers.ZeroHash, "0x");
+      }
+      const input = await fhevm.createEncryptedInput(contractAddress, arbiter.address).add64(amount).encrypt();
+      return contract.connect(arbiter).resolveDispute(disputeId, ruling, input.handles[0], input.inputProof);
+    }
+
+    it("Should let either party open a dispute that freezes the license", async function () {
+      await expect(contract.connect(bidder2).openDispute(1)).to.be.revertedWith("Not a license party");
+
+      await expect(contract.connect(licensee).openDispute(1))
+        .to.emit(contract, "DisputeOpened")
+        .withArgs(1, 1, licensee.address);
+      expect(await contract.activeDispute(1)).to.equal(1);
+
+      await expect(contract.connect(patentOwner).openDispute(1)).to.be.revertedWith("Dispute already open");
+      await expect(
+        contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Suspended, StatusReason.Breach, "")
+      ).to.be.revertedWith("License under dispute");
+      await expect(
+        payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") })
+      ).to.be.revertedWith("License under dispute");
+    });
+
+    it("Should validate disputed licenses and payments", async function () {
+      await expect(contract.connect(patentOwner).openPaymentDispute(1, 0)).to.be.revertedWith(
+        "Invalid payment index"
+      );
+
+      await requestLicense(bidder2, 1, ethers.parseEther("1.5"), 1000, 0, 365, false, false, 255);
+      await expect(contract.connect(bidder2).openDispute(2)).to.be.revertedWith("License not disputable");
+    });
+
+    it("Should give the assigned arbiter access to the disputed payment", async function () {
+      await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+      await contract.connect(patentOwner).openPaymentDispute(1, 0);
+
+      await expect(contract.connect(patentOwner).assignArbiter(1, arbiter.address)).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(contract.connect(owner).assignArbiter(1, bidder2.address)).to.be.revertedWith("Not an arbiter");
+      await expect(contract.connect(owner).assignArbiter(1, arbiter.address))
+        .to.emit(contract, "ArbiterAssigned")
+        .withArgs(1, arbiter.address);
+
+      const payment = await contract.royaltyPayments(1, 0);
+      const license = await contract.licenses(1);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, payment.encryptedRevenue, contractAddress, arbiter)
+      ).to.equal(ethers.parseEther("10"));
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, license.encryptedRoyaltyRate, contractAddress, arbiter)
+      ).to.equal(1000);
+    });
+
+    it("Should reject rulings from anyone but the arbiter", async function () {
+      await contract.connect(licensee).openDispute(1);
+      await contract.connect(owner).assignArbiter(1, arbiter.address);
+
+      await expect(
+        contract.connect(patentOwner).resolveDispute(1, Ruling.Dismissed, ethers.ZeroHash, "0x")
+      ).to.be.revertedWith("Not the arbiter");
+      await expect(resolveDispute(1, Ruling.None)).to.be.revertedWith("Invalid ruling");
+
+      await expect(resolveDispute(1, Ruling.Dismissed))
+        .to.emit(contract, "DisputeResolved")
+        .withArgs(1, 1, Ruling.Dismissed);
+      await expect(resolveDispute(1, Ruling.Dismissed)).to.be.revertedWith("Dispute not open");
+      expect(await contract.activeDispute(1)).to.equal(0);
+    });
+
+    it("Should reinstate or revoke the license on the arbiter's ruling", async function () {
+      await revokeLicense(patentOwner, 1);
+
+      await contract.connect(licensee).openDispute(1);
+      await contract.connect(owner).assignArbiter(1, arbiter.address);
+      await resolveDispute(1, Ruling.Reinstatement);
+      expect((await contract.licenses(1)).status).to.equal(LicenseStatus.Active);
+
+      await contract.connect(patentOwner).openDispute(1);
+      await contract.connect(owner).assignArbiter(2, arbiter.address);
+      await expect(resolveDispute(2, Ruling.Revocation))
+        .to.emit(contract, "LicenseStatusChanged")
+        .withArgs(1, LicenseStatus.Revoked);
+    });
+
+    it("Should let the claimant withdraw a dispute", async function () {
+      await contract.connect(licensee).openDispute(1);
+      await contract.connect(owner).assignArbiter(1, arbiter.address);
+
+      await expect(contract.connect(patentOwner).withdrawDispute(1)).to.be.revertedWith("Arbiter period not over");
+      await expect(contract.connect(licensee).withdrawDispute(1))
+        .to.emit(contract, "DisputeWithdrawn")
+        .withArgs(1, 1, licensee.address);
+      expect(await contract.activeDispute(1)).to.equal(0);
+      expect((await contract.disputes(1)).status).to.equal(3); // Withdrawn
+
+      await expect(contract.connect(licensee).withdrawDispute(1)).to.be.revertedWith("Dispute not open");
+      await expect(resolveDispute(1, Ruling.Dismissed)).to.be.revertedWith("Dispute not open");
+      await contract.connect(patentOwner).updateLicenseStatus(1, LicenseStatus.Suspended, StatusReason.Breach, "");
+    });
+
+    it("Should let the other party close a dispute left without an arbiter", async function () {
+      await contract.connect(licensee).openDispute(1);
+
+      await expect(contract.connect(patentOwner).withdrawDispute(1)).to.be.revertedWith("Arbiter period not over");
+      await time.increase(await contract.ARBITER_ASSIGNMENT_PERIOD());
+      await expect(contract.connect(bidder2).withdrawDispute(1)).to.be.revertedWith("Not a license party");
+
+      await expect(contract.connect(patentOwner).withdrawDispute(1))
+        .to.emit(contract, "DisputeWithdrawn")
+        .withArgs(1, 1, patentOwner.address);
+      expect(await contract.activeDispute(1)).to.equal(0);
+      await expect(contract.connect(owner).assignArbiter(1, arbiter.address)).to.be.revertedWith("Dispute not open");
+    });
+
+    it("Should refund a settled payment out of the licensor's tokens", async function () {
+      await token.mint(licensee.address, ethers.parseEther("2.0"));
+      await token.connect(licensee).setOperator(contractAddress, OPERATOR_UNTIL);
+      const payment = await fhevm
+        .createEncryptedInput(contractAddress, licensee.address)
+        .add64(ethers.parseEther("10"))
+        .add64(ethers.parseEther("1.6"))
+        .encrypt();
+      await contract
+        .connect(licensee)
+        .payRoyaltiesConfidential(1, payment.handles[0], payment.handles[1], 202501, payment.inputProof);
+      expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("3.1")); // With the 1.5 fee
+
+      await contract.connect(licensee).openPaymentDispute(1, 0);
+      await contract.connect(owner).assignArbiter(1, arbiter.address);
+
+      // Nothing is escrowed, so the licensor must let the contract pull the refund back
+      await expect(resolveDispute(1, Ruling.Refund, ethers.parseEther("0.6"))).to.be.revertedWith("Not an operator");
+      await token.connect(patentOwner).setOperator(contractAddress, OPERATOR_UNTIL);
+      await resolveDispute(1, Ruling.Refund, ethers.parseEther("0.6"));
+
+      expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("2.5"));
+      await contract.connect(licensee).withdrawRefund(await token.getAddress());
+      expect(await tokenBalance(token, licensee)).to.equal(ethers.parseEther("1.0"));
+    });
+
+    describe("Escrow", function () {
+      beforeEach(async function () {
+        await token.mint(licensee.address, ethers.parseEther("2.0"));
+        await token.connect(licensee).setOperator(contractAddress, OPERATOR_UNTIL);
+
+        await contract.connect(licensee).openDispute(1);
+        await contract.connect(owner).assignArbiter(1, arbiter.address);
+      });
+
+      async function payRoyaltiesConfidential(reportedRevenue, amount) {
+        const input = await fhevm
+          .createEncryptedInput(contractAddress, licensee.address)
+          .add64(reportedRevenue)
+          .add64(amount)
+          .encrypt();
+
+        return contract
+          .connect(licensee)
+          .payRoyaltiesConfidential(1, input.handles[0], input.handles[1], 202501, input.inputProof);
+      }
+
+      it("Should hold royalties paid during a dispute and refund the licensee", async function () {
+        await payRoyaltiesConfidential(ethers.parseEther("10"), ethers.parseEther("1.0"));
+
+        const escrow = await contract.disputeEscrow(1);
+        expect(await fhevm.userDecryptEuint(FhevmType.euint64, escrow, contractAddress, arbiter)).to.equal(
+          ethers.parseEther("1.0")
+        );
+        await expect(contract.connect(licensee).payLicenseFee(1)).to.be.revertedWith("License under dispute");
+
+        await resolveDispute(1, Ruling.Refund, ethers.parseEther("0.4"));
+
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("2.1")); // With the 1.5 fee
+        await contract.connect(licensee).withdrawRefund(await token.getAddress());
+        expect(await tokenBalance(token, licensee)).to.equal(ethers.parseEther("1.4"));
+      });
+
+      it("Should block replacing the settlement token until the dispute is resolved", async function () {
+        await payRoyaltiesConfidential(ethers.parseEther("10"), ethers.parseEther("1.0"));
+        await expect(adminAction("setSettlementToken", ethers.ZeroAddress)).to.be.revertedWith("Escrow outstanding");
+
+        await resolveDispute(1, Ruling.Refund, ethers.parseEther("0.4"));
+        await contract.connect(owner).setSettlementToken(ethers.ZeroAddress);
+
+        await contract.connect(licensee).withdrawRefund(await token.getAddress());
+        expect(await tokenBalance(token, licensee)).to.equal(ethers.parseEther("1.4"));
+      });
+
+      it("Should release the escrow as royalties when the dispute is withdrawn", async function () {
+        await payRoyaltiesConfidential(ethers.parseEther("10"), ethers.parseEther("1.0"));
+        await contract.connect(licensee).withdrawDispute(1);
+
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("2.5")); // With the 1.5 fee
+        await adminAction("setSettlementToken", ethers.ZeroAddress);
+        expect(await contract.settlementToken()).to.equal(ethers.ZeroAddress);
+      });
+
+      it("Should cap refunds at the escrowed royalties", async function () {
+        await payRoyaltiesConfidential(ethers.parseEther("10"), ethers.parseEther("1.0"));
+        await resolveDispute(1, Ruling.Refund, ethers.parseEther("5.0"));
+
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("1.5")); // The fee only
+        await contract.connect(licensee).withdrawRefund(await token.getAddress());
+        expect(await tokenBalance(token, licensee)).to.equal(ethers.parseEther("2.0"));
+      });
+
+      it("Should charge penalties to the licensee", async function () {
+        await payRoyaltiesConfidential(ethers.parseEther("10"), ethers.parseEther("1.0"));
+        await resolveDispute(1, Ruling.Penalty, ethers.parseEther("0.5"));
+
+        expect(await tokenBalance(token, patentOwner)).to.equal(ethers.parseEther("3.0")); // With the 1.5 fee
+        expect(await tokenBalance(token, licensee)).to.equal(ethers.parseEther("0.5"));
+      });
+    });
+  });
+
+  describe("Emergency Functions", function () {
+    beforeEach(async function () {
+      await registerPatent(
+        patentOwner,
+        1000,
+        ethers.parseEther("1.0"),
+        180,
+        10,
+        "QmTestHash",
+        255,
+        true
+      );
+    });
+
+    it("Should allow owner to emergency pause", async function () {
+      await contract.connect(owner).emergencyPause(1);
+
+      const info = await contract.getPatentInfo(1);
+      expect(info.status).to.equal(1); // Suspended
+    });
+
+    it("Should allow owner to emergency resume", async function () {
+      await contract.connect(owner).emergencyPause(1);
+      await contract.connect(owner).emergencyResume(1);
+
+      const info = await contract.getPatentInfo(1);
+      expect(info.status).to.equal(0); // Active
+    });
+
+    it("Should record emergency suspensions with their reason", async function () {
+      await expect(contract.connect(owner).emergencyPause(1))
+        .to.emit(contract, "PatentStatusNoted")
+        .withArgs(1, 1, StatusReason.Emergency, "");
+      expect(await contract.patentStatusReasons(1)).to.equal(StatusReason.Emergency);
+      await expect(contract.connect(owner).emergencyPause(1)).to.be.revertedWith("Invalid status transition");
+
+      // The owners cannot lift an emergency suspension themselves
+      await expect(
+        contract.connect(patentOwner).updatePatentStatus(1, 0, StatusReason.None, "")
+      ).to.be.revertedWith("Emergency suspension");
+
+      await expect(contract.connect(owner).emergencyResume(1))
+        .to.emit(contract, "PatentStatusNoted")
+        .withArgs(1, 0, StatusReason.None, "");
+      expect(await contract.patentStatusReasons(1)).to.equal(StatusReason.None);
+    });
+
+    it("Should not lift a suspension the owners imposed", async function () {
+      await expect(contract.connect(owner).emergencyResume(1)).to.be.revertedWith("Not an emergency suspension");
+      await expect(
+        contract.connect(patentOwner).updatePatentStatus(1, 1, StatusReason.Emergency, "")
+      ).to.be.revertedWith("Reserved reason");
+
+      await contract.connect(patentOwner).updatePatentStatus(1, 1, StatusReason.Other, "Under re-examination");
+      await expect(contract.connect(owner).emergencyResume(1)).to.be.revertedWith("Not an emergency suspension");
+      expect((await contract.getPatentInfo(1)).status).to.equal(1); // Suspended
+    });
+
+    it("Should only allow owner to use emergency functions", async function () {
+      await expect(
+        contract.connect(patentOwner).emergencyPause(1)
+      ).to.be.revertedWith("Not authorized");
+
+      await expect(
+        contract.connect(patentOwner).emergencyResume(1)
+      ).to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("Governance", function () {
+    let ADMIN_ROLE;
+    let PAUSER_ROLE;
+    let AUDITOR_ROLE;
+
+    beforeEach(async function () {
+      ADMIN_ROLE = await contract.ADMIN_ROLE();
+      PAUSER_ROLE = await contract.PAUSER_ROLE();
+      AUDITOR_ROLE = await contract.AUDITOR_ROLE();
+      await registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 10, "QmTestHash", 255, true);
+    });
+
+    it("Should give the deployer the admin and pauser roles", async function () {
+      expect(await contract.hasRole(ADMIN_ROLE, owner.address)).to.equal(true);
+      expect(await contract.hasRole(PAUSER_ROLE, owner.address)).to.equal(true);
+      expect(await contract.roleMemberCount(ADMIN_ROLE)).to.equal(1);
+    });
+
+    it("Should grant roles through the timelock", async function () {
+      await expect(contract.connect(owner).grantRole(PAUSER_ROLE, bidder1.address)).to.emit(
+        contract,
+        "AdminActionScheduled"
+      );
+      expect(await contract.hasRole(PAUSER_ROLE, bidder1.address)).to.equal(false);
+      await expect(contract.connect(owner).grantRole(PAUSER_ROLE, bidder1.address)).to.be.revertedWith(
+        "Timelock not expired"
+      );
+
+      await time.increase(await contract.ADMIN_DELAY());
+      await expect(contract.connect(owner).grantRole(PAUSER_ROLE, bidder1.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(PAUSER_ROLE, bidder1.address, owner.address);
+      expect(await contract.hasRole(PAUSER_ROLE, bidder1.address)).to.equal(true);
+    });
+
+    it("Should restrict role management to admins", async function () {
+      await expect(contract.connect(bidder1).grantRole(PAUSER_ROLE, bidder1.address)).to.be.revertedWith(
+        "Not authorized"
+      );
+      await expect(contract.connect(owner).grantRole(ethers.id("OTHER_ROLE"), bidder1.address)).to.be.revertedWith(
+        "Invalid role"
+      );
+      await expect(contract.connect(owner).renounceRole(ADMIN_ROLE)).to.be.revertedWith("Last admin");
+      await expect(contract.connect(owner).renounceRole(PAUSER_ROLE))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(PAUSER_ROLE, owner.address, owner.address);
+    });
+
+    it("Should let an admin cancel a scheduled action", async function () {
+      const tx = await contract.connect(owner).setMaintenanceFee(ethers.parseEther("0.01"));
+      const { logs } = await tx.wait();
+      const action = contract.interface.parseLog(logs[0]).args.action;
+
+      await expect(contract.connect(owner).cancelAdminAction(action))
+        .to.emit(contract, "AdminActionCancelled")
+        .withArgs(action, owner.address);
+      await expect(contract.connect(owner).cancelAdminAction(action)).to.be.revertedWith("Action not scheduled");
+
+      // Calling again schedules the action afresh
+      await time.increase(await contract.ADMIN_DELAY());
+      await expect(contract.connect(owner).setMaintenanceFee(ethers.parseEther("0.01"))).to.emit(
+        contract,
+        "AdminActionScheduled"
+      );
+      expect(await contract.maintenanceFeePerYear()).to.equal(0);
+    });
+
+    it("Should transfer platform ownership through the timelock", async function () {
+      await expect(adminAction("transferOwnership", bidder2.address))
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(owner.address, bidder2.address);
+      expect(await contract.owner()).to.equal(bidder2.address);
+    });
+
+    it("Should halt state-changing functions while paused", async function () {
+      await expect(contract.connect(bidder1).pause()).to.be.revertedWith("Not authorized");
+      await expect(contract.connect(owner).pause()).to.emit(contract, "Paused").withArgs(owner.address);
+
+      await expect(
+        registerPatent(patentOwner, 1000, ethers.parseEther("1.0"), 180, 10, "QmTestHash2", 255, true)
+      ).to.be.revertedWith("Contract paused");
+      await expect(
+        requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0001)
+      ).to.be.revertedWith("Contract paused");
+      await expect(contract.connect(patentOwner).startConfidentialBidding(1, 24)).to.be.revertedWith(
+        "Contract paused"
+      );
+      await expect(contract.connect(patentOwner).transferPatent(1, bidder1.address)).to.be.revertedWith(
+        "Contract paused"
+      );
+
+      await expect(contract.connect(owner).unpause()).to.emit(contract, "Unpaused").withArgs(owner.address);
+      await expect(requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 30, false, false, 0b0001)).to.emit(
+        contract,
+        "LicenseRequested"
+      );
+    });
+
+    it("Should complete pending decryptions while paused", async function () {
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 365, false, false, 0b0001);
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+      await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+      await contract.connect(patentOwner).requestRoyaltyVerification(1, 0);
+
+      await contract.connect(owner).pause();
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await contract.royaltyPayments(1, 0)).isVerified).to.equal(true);
+    });
+
+    it("Should let only the appointed auditor request royalty verification", async function () {
+      await requestLicense(licensee, 1, ethers.parseEther("1.5"), 1000, 0, 365, false, false, 0b0001);
+      await contract.connect(patentOwner).approveLicense(1);
+      await settleLicenseFee(licensee, 1, ethers.parseEther("1.5"));
+      await payRoyalties(licensee, 1, ethers.parseEther("10"), 202501, { value: ethers.parseEther("1.0") });
+
+      await expect(contract.connect(bidder1).requestRoyaltyVerification(1, 0)).to.be.revertedWith(
+        "Not the licensor"
+      );
+
+      // Holding the role is not enough without an appointment to this license
+      await adminAction("grantRole", AUDITOR_ROLE, bidder1.address);
+      await expect(contract.connect(bidder1).requestRoyaltyVerification(1, 0)).to.be.revertedWith(
+        "Not the licensor"
+      );
+
+      const period = 30 * 24 * 60 * 60;
+      await contract.connect(patentOwner).appointAuditor(1, bidder1.address, period);
+      await contract.connect(licensee).appointAuditor(1, bidder1.address, period);
+      await expect(contract.connect(bidder1).requestRoyaltyVerification(1, 0)).to.emit(
+        contract,
+        "RoyaltyVerificationRequested"
+      );
     });
   });
 });